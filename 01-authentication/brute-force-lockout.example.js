@@ -0,0 +1,403 @@
+/**
+ * Example: Account Lockout and Progressive Delays
+ *
+ * This file demonstrates the security issue of counting failed attempts per IP
+ * only (credential stuffing from many IPs against one account goes unnoticed)
+ * and shows per-account and per-IP failure tracking with progressive delays,
+ * temporary lockouts, admin unlock and lockout events in the security log.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const { verifyToken } = require('./hardened-token-verification.example');
+const {
+  SecurityLogger,
+  secureAuthMiddleware,
+  secureAuthorizationCheck
+} = require('../07-detection-and-logging/missing-security-logs.example');
+const {
+  TOKEN_STORE_TYPES,
+  connectRedisClient,
+  getRedisClient
+} = require('../03-session-management/token-store.example');
+
+// ============================================================================
+// ❌ INSECURE: Per-IP counting in process memory
+// ============================================================================
+
+const insecureAttempts = new Map(); // ip -> count
+
+function insecureLoginAttempt(req) {
+  // BAD: Keyed by IP only - 1,000 IPs x 4 guesses each never trips it.
+  // BAD: Process memory - every instance behind the load balancer counts separately.
+  // BAD: Never resets and nothing is logged.
+  const count = (insecureAttempts.get(req.ip) || 0) + 1;
+  insecureAttempts.set(req.ip, count);
+  return count <= 5;
+}
+
+// ============================================================================
+// ✅ SECURE: Per-account + per-IP, shared counters, escalating back-off
+// ============================================================================
+
+const LOCKOUT_SCOPES = {
+  ACCOUNT: 'account',
+  IP: 'ip'
+};
+
+const FAILURE_KINDS = {
+  LOGIN: 'login',
+  OTP: 'otp',
+  SECOND_FACTOR: 'second-factor',
+  TOKEN: 'token',
+  CLIENT: 'client', // System client secrets (introspection, revocation)
+  API_KEY: 'api-key'
+};
+
+// GOOD: Delays start early and double; lockout is temporary, so an attacker
+// can slow an account down but not lock its owner out for good
+const DEFAULT_LOCKOUT_POLICY = {
+  [LOCKOUT_SCOPES.ACCOUNT]: {
+    windowSeconds: 15 * 60,
+    delayAfter: 3, // Failures before delays start
+    lockAfter: 10, // Failures before a lockout
+    lockoutSeconds: 15 * 60,
+    distinctIpAlert: 5 // Failing IPs per account that count as distributed
+  },
+  [LOCKOUT_SCOPES.IP]: {
+    windowSeconds: 15 * 60,
+    delayAfter: 10,
+    lockAfter: 50,
+    lockoutSeconds: 15 * 60
+  },
+  baseDelaySeconds: 1,
+  maxDelaySeconds: 60
+};
+
+// Counter stores implement:
+//
+//   increment(key, windowSeconds)          -> count (window starts at first failure)
+//   addMember(key, member, windowSeconds)  -> number of distinct members
+//   block(key, seconds, { onlyIfUnblocked })
+//   blockedFor(key)                        -> seconds remaining (0 if not blocked)
+//   clear(keys)
+
+// GOOD: In-memory store for tests and single-process development
+class InMemoryFailureStore {
+  constructor({ now = () => Date.now() } = {}) {
+    this.now = now;
+    this.entries = new Map(); // key -> { value, expiresAt }
+  }
+
+  read(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt <= this.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  async increment(key, windowSeconds) {
+    const entry = this.read(key) || { value: 0, expiresAt: this.now() + windowSeconds * 1000 };
+    entry.value++;
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async addMember(key, member, windowSeconds) {
+    const entry = this.read(key) || { value: new Set(), expiresAt: this.now() + windowSeconds * 1000 };
+    entry.value.add(member);
+    this.entries.set(key, entry);
+    return entry.value.size;
+  }
+
+  async block(key, seconds, { onlyIfUnblocked = false } = {}) {
+    if (onlyIfUnblocked && this.read(key)) {
+      return;
+    }
+    this.entries.set(key, { value: true, expiresAt: this.now() + seconds * 1000 });
+  }
+
+  async blockedFor(key) {
+    const entry = this.read(key);
+    return entry ? Math.ceil((entry.expiresAt - this.now()) / 1000) : 0;
+  }
+
+  async clear(keys) {
+    for (const key of keys) {
+      this.entries.delete(key);
+    }
+  }
+}
+
+// GOOD: Redis store - INCR is atomic, so parallel guesses cannot slip past the count
+class RedisFailureStore {
+  constructor({ client = null, keyPrefix = 'auth-failures:' } = {}) {
+    this.client = client;
+    this.keyPrefix = keyPrefix;
+  }
+
+  async getClient() {
+    return this.client ? connectRedisClient(this.client) : getRedisClient();
+  }
+
+  async increment(key, windowSeconds) {
+    const client = await this.getClient();
+    const count = await client.incr(this.keyPrefix + key);
+    if (count === 1) {
+      await client.expire(this.keyPrefix + key, windowSeconds);
+    }
+    return count;
+  }
+
+  async addMember(key, member, windowSeconds) {
+    const client = await this.getClient();
+    const added = await client.sAdd(this.keyPrefix + key, member);
+    const size = await client.sCard(this.keyPrefix + key);
+    if (added && size === 1) {
+      await client.expire(this.keyPrefix + key, windowSeconds);
+    }
+    return size;
+  }
+
+  async block(key, seconds, { onlyIfUnblocked = false } = {}) {
+    const client = await this.getClient();
+    await client.set(this.keyPrefix + key, '1', {
+      EX: seconds,
+      ...(onlyIfUnblocked ? { NX: true } : {})
+    });
+  }
+
+  async blockedFor(key) {
+    const client = await this.getClient();
+    const ttl = await client.ttl(this.keyPrefix + key);
+    return ttl > 0 ? ttl : 0;
+  }
+
+  async clear(keys) {
+    const client = await this.getClient();
+    await client.del(keys.map(key => this.keyPrefix + key));
+  }
+}
+
+// GOOD: Logins are hashed before they become keys or log fields
+function subjectHash(scope, value) {
+  return crypto.createHash('sha256')
+    .update(`${scope}:${String(value).trim().toLowerCase()}`)
+    .digest('hex');
+}
+
+class AuthFailureTracker {
+  constructor({ store, policy = DEFAULT_LOCKOUT_POLICY } = {}) {
+    if (!store) {
+      throw new Error('AuthFailureTracker requires a failure store');
+    }
+    this.store = store;
+    this.policy = policy;
+  }
+
+  subjects({ account, ip }) {
+    const subjects = [];
+    if (account) {
+      subjects.push({ scope: LOCKOUT_SCOPES.ACCOUNT, id: subjectHash(LOCKOUT_SCOPES.ACCOUNT, account) });
+    }
+    if (ip) {
+      subjects.push({ scope: LOCKOUT_SCOPES.IP, id: subjectHash(LOCKOUT_SCOPES.IP, ip) });
+    }
+    return subjects;
+  }
+
+  delaySeconds(failures, delayAfter) {
+    const { baseDelaySeconds, maxDelaySeconds } = this.policy;
+    return Math.min(baseDelaySeconds * 2 ** (failures - delayAfter), maxDelaySeconds);
+  }
+
+  // GOOD: Called before the credential is even looked at.
+  // Returns { allowed: true } or { allowed: false, scope, retryAfterSeconds }
+  async check({ account, ip }) {
+    let decision = { allowed: true };
+
+    for (const subject of this.subjects({ account, ip })) {
+      const retryAfterSeconds = await this.store.blockedFor(`lock:${subject.id}`);
+      if (retryAfterSeconds > (decision.retryAfterSeconds || 0)) {
+        decision = { allowed: false, scope: subject.scope, retryAfterSeconds };
+      }
+    }
+
+    return decision;
+  }
+
+  // GOOD: Unknown accounts are counted exactly like real ones, so a 429
+  // never confirms that an account exists
+  async recordFailure({ account, ip, kind }, req = {}) {
+    for (const subject of this.subjects({ account, ip })) {
+      const limits = this.policy[subject.scope];
+      const failures = await this.store.increment(`fail:${subject.id}`, limits.windowSeconds);
+
+      if (failures >= limits.lockAfter) {
+        await this.store.block(`lock:${subject.id}`, limits.lockoutSeconds);
+        if (failures === limits.lockAfter) {
+          SecurityLogger.logLockout(req, 'LOCKED', {
+            scope: subject.scope,
+            subject: subject.id,
+            kind: kind,
+            failures: failures,
+            lockoutSeconds: limits.lockoutSeconds
+          });
+        }
+      } else if (failures >= limits.delayAfter) {
+        await this.store.block(
+          `lock:${subject.id}`,
+          this.delaySeconds(failures, limits.delayAfter),
+          { onlyIfUnblocked: true }
+        );
+      }
+    }
+
+    // GOOD: Many IPs failing against one account is credential stuffing,
+    // even when no single IP comes near its own limit
+    if (account && ip) {
+      const limits = this.policy[LOCKOUT_SCOPES.ACCOUNT];
+      const accountId = subjectHash(LOCKOUT_SCOPES.ACCOUNT, account);
+      const distinctIps = await this.store.addMember(`ips:${accountId}`, ip, limits.windowSeconds);
+      if (distinctIps === limits.distinctIpAlert) {
+        SecurityLogger.logLockout(req, 'DISTRIBUTED_FAILURES', {
+          scope: LOCKOUT_SCOPES.ACCOUNT,
+          subject: accountId,
+          kind: kind,
+          distinctIps: distinctIps
+        });
+      }
+    }
+
+    return this.check({ account, ip });
+  }
+
+  // GOOD: Success clears the account's counters only. The IP keeps its count,
+  // otherwise one valid login would reset a guessing run against other accounts.
+  async recordSuccess({ account }) {
+    if (!account) {
+      return;
+    }
+    const accountId = subjectHash(LOCKOUT_SCOPES.ACCOUNT, account);
+    await this.store.clear([`fail:${accountId}`, `ips:${accountId}`]);
+  }
+
+  async unlock(account, req = {}) {
+    const accountId = subjectHash(LOCKOUT_SCOPES.ACCOUNT, account);
+    await this.store.clear([`fail:${accountId}`, `ips:${accountId}`, `lock:${accountId}`]);
+
+    SecurityLogger.logLockout(req, 'UNLOCKED', {
+      scope: LOCKOUT_SCOPES.ACCOUNT,
+      subject: accountId,
+      unlockedBy: req.user?.userId
+    });
+  }
+
+  async status(account) {
+    const decision = await this.check({ account });
+    return {
+      locked: !decision.allowed,
+      retryAfterSeconds: decision.retryAfterSeconds || 0
+    };
+  }
+}
+
+// GOOD: Counters follow the token store backend. SQL deployments still need
+// Redis here - lockout counters depend on atomic increments.
+function createFailureStore({ type = process.env.TOKEN_STORE || TOKEN_STORE_TYPES.REDIS, ...options } = {}) {
+  if (type === TOKEN_STORE_TYPES.MEMORY) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('In-memory failure store is not allowed in production');
+    }
+    return new InMemoryFailureStore(options);
+  }
+  return new RedisFailureStore(options);
+}
+
+let defaultAuthFailureTracker = null;
+
+function getDefaultAuthFailureTracker() {
+  if (!defaultAuthFailureTracker) {
+    defaultAuthFailureTracker = new AuthFailureTracker({ store: createFailureStore() });
+  }
+  return defaultAuthFailureTracker;
+}
+
+function setDefaultAuthFailureTracker(tracker) {
+  defaultAuthFailureTracker = tracker;
+}
+
+// GOOD: Same generic 429 for account and IP limits
+function sendLockedResponse(res, decision) {
+  res.set('Retry-After', String(decision.retryAfterSeconds));
+  return res.status(429).json({ error: 'Too many failed attempts. Try again later.' });
+}
+
+// ============================================================================
+// Express Route Examples
+// ============================================================================
+
+// ✅ SECURE Token middleware: bad tokens count against the IP
+function secureAuthMiddlewareWithLockout(tracker = getDefaultAuthFailureTracker()) {
+  return async (req, res, next) => {
+    const decision = await tracker.check({ ip: req.ip });
+    if (!decision.allowed) {
+      return sendLockedResponse(res, decision);
+    }
+
+    const token = req.headers.authorization?.split(' ')[1];
+    const result = token ? verifyToken(token) : { ok: false, reason: 'NO_TOKEN_PROVIDED' };
+
+    if (!result.ok) {
+      SecurityLogger.logTokenValidationFailure(req, result.reason);
+      await tracker.recordFailure({ ip: req.ip, kind: FAILURE_KINDS.TOKEN }, req);
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+
+    req.user = result.claims;
+    next();
+  };
+}
+
+// ✅ SECURE Admin unlock. `resolver` is the PermissionResolver that
+// secureAuthorizationCheck needs (see over-privileged-tokens.example.js).
+function secureRoutes(tracker = getDefaultAuthFailureTracker(), { resolver } = {}) {
+  const app = express();
+
+  app.get('/api/admin/lockouts/:login',
+    secureAuthMiddleware,
+    secureAuthorizationCheck('admin:access', { resolver }),
+    async (req, res) => {
+      return res.json(await tracker.status(req.params.login));
+    }
+  );
+
+  app.post('/api/admin/lockouts/:login/unlock',
+    secureAuthMiddleware,
+    secureAuthorizationCheck('admin:access', { resolver }),
+    async (req, res) => {
+      await tracker.unlock(req.params.login, req);
+      return res.json({ message: 'Account unlocked' });
+    }
+  );
+
+  return app;
+}
+
+module.exports = {
+  LOCKOUT_SCOPES,
+  FAILURE_KINDS,
+  DEFAULT_LOCKOUT_POLICY,
+  insecureLoginAttempt,
+  InMemoryFailureStore,
+  RedisFailureStore,
+  AuthFailureTracker,
+  createFailureStore,
+  getDefaultAuthFailureTracker,
+  setDefaultAuthFailureTracker,
+  sendLockedResponse,
+  secureAuthMiddlewareWithLockout,
+  secureRoutes
+};
@@ -0,0 +1,235 @@
+/**
+ * Example: Client Credentials Grant for System-to-System Calls
+ *
+ * This file demonstrates the security issue of machine callers proving their
+ * identity with a shared static API key (or getting system tokens minted from
+ * whatever arguments are passed) and shows registered machine clients that
+ * exchange their own credentials for short-lived system tokens (RFC 6749 §4.4).
+ */
+
+const express = require('express');
+const { signToken, decodeIssuedToken } = require('./hardened-token-verification.example');
+const { SYSTEMS, requireSystem } = require('../02-authorization/cross-system-access.example');
+const { authorize } = require('../02-authorization/policy-engine.example');
+const { SecurityLogger } = require('../07-detection-and-logging/missing-security-logs.example');
+const { registerSession } = require('../03-session-management/session-keying.example');
+const {
+  CLIENT_CAPABILITIES,
+  requireSystemClient
+} = require('../03-session-management/token-introspection.example');
+const { sessionAuthMiddleware, ROUTE_GROUPS } = require('../03-session-management/session-store-outage-policy.example');
+
+// ============================================================================
+// ❌ INSECURE: One static key for every internal caller
+// ============================================================================
+
+function insecureInternalRoute(req, res) {
+  // BAD: Every internal service shares INTERNAL_API_KEY - one leak exposes all
+  // of them, nobody can tell which service called, and rotating it means
+  // redeploying everything at once.
+  if (req.headers['x-api-key'] === process.env.INTERNAL_API_KEY) {
+    return res.json({ internalData: 'data' });
+  }
+  return res.status(403).json({ error: 'Forbidden' });
+}
+
+function insecureIssueSystemToken(systemName, permissions) {
+  // BAD: Whatever system and permissions the caller names end up in the token
+  return signToken({ system: systemName, permissions: permissions }, { expiresIn: '24h' });
+}
+
+// ============================================================================
+// ✅ SECURE: Registered clients, client_credentials grant, short-lived tokens
+// ============================================================================
+
+// GOOD: Minutes, not hours - clients simply request a new token.
+// No refresh token is issued for this grant (RFC 6749 section 4.4.3).
+const SYSTEM_TOKEN_TTL_SECONDS = 5 * 60;
+
+const GRANT_ERRORS = {
+  INVALID_REQUEST: 'invalid_request',
+  UNSUPPORTED_GRANT_TYPE: 'unsupported_grant_type',
+  INVALID_SCOPE: 'invalid_scope'
+};
+
+// GOOD: Everything in the token comes from the client's registration.
+// The request can only narrow it: pick one allowed system, a subset of permissions.
+// Returns { ok: true, system, permissions } or { ok: false, error }
+function resolveSystemGrant(client, { system, scope }) {
+  const requestedSystem = system || client.system;
+  if (!client.allowedSystems.includes(requestedSystem)) {
+    return { ok: false, error: GRANT_ERRORS.INVALID_SCOPE };
+  }
+
+  if (scope !== undefined && typeof scope !== 'string') {
+    return { ok: false, error: GRANT_ERRORS.INVALID_REQUEST };
+  }
+  // GOOD: Only an absent scope means "everything registered". `scope=""`
+  // (or only spaces) asks for nothing, which is not a usable grant.
+  const requested = scope === undefined ? client.permissions : scope.split(' ').filter(Boolean);
+  if (requested.length === 0 ||
+      requested.some(permission => !client.permissions.includes(permission))) {
+    return { ok: false, error: GRANT_ERRORS.INVALID_SCOPE };
+  }
+
+  return { ok: true, system: requestedSystem, permissions: Array.from(new Set(requested)) };
+}
+
+async function issueSystemToken(client, grant) {
+  const subject = `client:${client.clientId}`;
+
+  // GOOD: `system` and `permissions` are what requireSystem and
+  // authorize() read. No userId - this is not a user, so the permission
+  // resolver keeps exactly these scopes.
+  const token = signToken(
+    {
+      sub: subject,
+      client_id: client.clientId,
+      typ: 'system',
+      system: grant.system,
+      permissions: grant.permissions
+    },
+    { expiresIn: SYSTEM_TOKEN_TTL_SECONDS }
+  );
+
+  // GOOD: Registered like user sessions, owned by the client - so it can be
+  // introspected, revoked, and all of a client's tokens revoked at once
+  const claims = decodeIssuedToken(token);
+  await registerSession({ ...claims, userId: subject });
+
+  return token;
+}
+
+// ============================================================================
+// Express Route Examples
+// ============================================================================
+
+// ✅ SECURE Token endpoint (client_secret_basic, form-encoded)
+function tokenEndpoint(options = {}) {
+  const router = express.Router();
+  router.use(express.urlencoded({ extended: false, limit: '10kb' }));
+
+  router.post('/oauth/token',
+    requireSystemClient(CLIENT_CAPABILITIES.CLIENT_CREDENTIALS, options),
+    async (req, res) => {
+      res.set('Cache-Control', 'no-store');
+
+      const { grant_type: grantType, scope, system } = req.body || {};
+      if (grantType !== 'client_credentials') {
+        return res.status(400).json({ error: GRANT_ERRORS.UNSUPPORTED_GRANT_TYPE });
+      }
+
+      const grant = resolveSystemGrant(req.client, { system, scope });
+      if (!grant.ok) {
+        return res.status(400).json({ error: grant.error });
+      }
+
+      let accessToken;
+      try {
+        accessToken = await issueSystemToken(req.client, grant);
+      } catch (error) {
+        // GOOD: Session store down - RFC 6749 has no token-endpoint code for
+        // this, so use the one from section 4.1.2.1 that clients retry on
+        SecurityLogger.logDegradation(req, 'session-store', {
+          event: 'SYSTEM_TOKEN_NOT_ISSUED',
+          clientId: req.client.clientId,
+          error: error.message
+        });
+        res.set('Retry-After', '5');
+        return res.status(503).json({ error: 'temporarily_unavailable' });
+      }
+
+      SecurityLogger.logSystemTokenIssued(req, {
+        clientId: req.client.clientId,
+        system: grant.system,
+        permissions: grant.permissions
+      });
+
+      return res.json({
+        access_token: accessToken,
+        token_type: 'Bearer',
+        expires_in: SYSTEM_TOKEN_TTL_SECONDS,
+        scope: grant.permissions.join(' ')
+      });
+    }
+  );
+
+  return router;
+}
+
+// ✅ SECURE Routes: system tokens consumed by the existing guards.
+// `options.engine` / `options.resolver` are passed to authorize().
+function secureRoutes(options = {}) {
+  const app = express();
+  app.use(tokenEndpoint(options));
+
+  // GOOD: Session-checked - a revoked system token stops working immediately
+  app.use('/api', sessionAuthMiddleware(ROUTE_GROUPS.WRITE));
+
+  app.get('/api/internal/data',
+    requireSystem(SYSTEMS.INTERNAL),
+    (req, res) => res.json({ internalData: 'data', caller: req.user.client_id })
+  );
+
+  // GOOD: Rule admin-portal-reads-users - system and permission in one rule
+  app.get('/api/admin/users',
+    authorize('users:read', 'user', { engine: options.engine, resolver: options.resolver }),
+    (req, res) => res.json({ users: [] })
+  );
+
+  return app;
+}
+
+// GOOD: Caller side - cache the token until shortly before it expires
+// .env (in the calling service):
+// TOKEN_URL=https://auth.example.com/oauth/token
+// SYSTEM_CLIENT_ID=reporting-job
+// SYSTEM_CLIENT_SECRET=<issued once, stored in the secret manager>
+function createSystemTokenProvider({
+  url = process.env.TOKEN_URL,
+  clientId = process.env.SYSTEM_CLIENT_ID,
+  clientSecret = process.env.SYSTEM_CLIENT_SECRET,
+  scope,
+  now = () => Date.now()
+} = {}) {
+  let cached = null;
+
+  return async function getSystemToken() {
+    if (cached && cached.expiresAt - 30 * 1000 > now()) {
+      return cached.token;
+    }
+
+    const credentials = Buffer.from(
+      `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`
+    ).toString('base64');
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        authorization: `Basic ${credentials}`,
+        'content-type': 'application/x-www-form-urlencoded'
+      },
+      body: new URLSearchParams({ grant_type: 'client_credentials', ...(scope && { scope }) }),
+      signal: AbortSignal.timeout(2000)
+    });
+    if (!response.ok) {
+      throw new Error(`Token request failed with status ${response.status}`);
+    }
+
+    const body = await response.json();
+    cached = { token: body.access_token, expiresAt: now() + body.expires_in * 1000 };
+    return cached.token;
+  };
+}
+
+module.exports = {
+  SYSTEM_TOKEN_TTL_SECONDS,
+  GRANT_ERRORS,
+  insecureInternalRoute,
+  insecureIssueSystemToken,
+  resolveSystemGrant,
+  issueSystemToken,
+  tokenEndpoint,
+  secureRoutes,
+  createSystemTokenProvider
+};
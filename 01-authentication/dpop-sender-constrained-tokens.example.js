@@ -0,0 +1,325 @@
+/**
+ * Example: Sender-Constrained Tokens (DPoP)
+ *
+ * This file demonstrates the security issue of mobile app tokens being plain
+ * bearer tokens that work from any device once leaked, and shows DPoP-style
+ * proof-of-possession (RFC 9449): the token carries the thumbprint of a client
+ * key (`cnf.jkt`) and every request must include a fresh, single-use proof
+ * signed with that key.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const {
+  SENDER_CONSTRAINED_SYSTEMS,
+  requiresProofOfPossession,
+  signToken
+} = require('./hardened-token-verification.example');
+const { SYSTEMS } = require('../02-authorization/cross-system-access.example');
+const { SecurityLogger } = require('../07-detection-and-logging/missing-security-logs.example');
+const { createNonceCache } = require('../02-authorization/signed-internal-requests.example');
+const { registerSessionForToken } = require('../03-session-management/session-keying.example');
+const { secureLoginRoute } = require('./password-credentials.example');
+const {
+  sessionAuthMiddleware,
+  ROUTE_GROUPS
+} = require('../03-session-management/session-store-outage-policy.example');
+
+// ============================================================================
+// ❌ INSECURE: Mobile tokens are bearer tokens
+// ============================================================================
+
+function insecureIssueMobileToken(user) {
+  // BAD: Whoever holds this string is the user - a token copied from a
+  // rooted phone, a backup or a proxy log works from any machine
+  return {
+    access_token: signToken({ userId: user.id, system: SYSTEMS.MOBILE_APP }, { expiresIn: '15m' }),
+    token_type: 'Bearer'
+  };
+}
+
+// ============================================================================
+// ✅ SECURE: Token bound to a key the app never exports
+// ============================================================================
+
+const DPOP_POLICY = {
+  algorithms: ['ES256', 'PS256', 'RS256'],
+  proofMaxAgeSeconds: 60, // Proofs are made per request, so this can be short
+  clockToleranceSeconds: 5,
+  maxJtiLength: 64
+};
+
+const DPOP_FAILURE = {
+  MISSING: 'DPOP_PROOF_MISSING',
+  MALFORMED: 'DPOP_PROOF_MALFORMED',
+  BAD_SIGNATURE: 'DPOP_PROOF_BAD_SIGNATURE',
+  WRONG_REQUEST: 'DPOP_PROOF_WRONG_REQUEST',
+  STALE: 'DPOP_PROOF_STALE',
+  TOKEN_HASH_MISMATCH: 'DPOP_PROOF_TOKEN_HASH_MISMATCH',
+  KEY_MISMATCH: 'DPOP_PROOF_KEY_MISMATCH',
+  REPLAYED: 'DPOP_PROOF_REPLAYED',
+  BEARER_SCHEME: 'DPOP_TOKEN_SENT_AS_BEARER',
+  UNBOUND_TOKEN: 'DPOP_UNBOUND_TOKEN'
+};
+
+const PRIVATE_JWK_MEMBERS = ['d', 'p', 'q', 'dp', 'dq', 'qi', 'k'];
+
+function base64UrlSha256(value) {
+  return crypto.createHash('sha256').update(value).digest('base64url');
+}
+
+// RFC 7638 thumbprint: required members only, in lexicographic order
+function jwkThumbprint(jwk) {
+  const members = jwk.kty === 'EC'
+    ? { crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y }
+    : { e: jwk.e, kty: jwk.kty, n: jwk.n };
+  return base64UrlSha256(JSON.stringify(members));
+}
+
+let defaultReplayCache = null;
+
+function getDefaultDpopReplayCache() {
+  if (!defaultReplayCache) {
+    defaultReplayCache = createNonceCache({ keyPrefix: 'dpop-jti:' });
+  }
+  return defaultReplayCache;
+}
+
+function setDefaultDpopReplayCache(cache) {
+  defaultReplayCache = cache;
+}
+
+// htu is the request URL without query and fragment. PUBLIC_ORIGIN pins the
+// origin, so proofs made for another host are not accepted behind a proxy.
+function requestUri(req, origin = process.env.PUBLIC_ORIGIN) {
+  const base = origin || `${req.protocol}://${req.get('host')}`;
+  return base.replace(/\/$/, '') + req.originalUrl.split('?')[0];
+}
+
+/**
+ * Verify a DPoP proof for this request.
+ *
+ * `accessToken` is set when a token is presented (the proof must contain its
+ * hash); `expectedJkt` is the token's cnf.jkt. Returns { ok: true, jkt } or
+ * { ok: false, reason }.
+ */
+async function verifyDpopProof(proof, { method, uri, accessToken, expectedJkt }, {
+  replayCache = getDefaultDpopReplayCache(),
+  policy = DPOP_POLICY,
+  now = () => Date.now()
+} = {}) {
+  if (typeof proof !== 'string' || proof.length === 0) {
+    return { ok: false, reason: DPOP_FAILURE.MISSING };
+  }
+
+  const decoded = jwt.decode(proof, { complete: true });
+  const header = decoded && decoded.header;
+  if (!header || header.typ !== 'dpop+jwt' || !policy.algorithms.includes(header.alg) ||
+      !header.jwk || typeof header.jwk !== 'object' ||
+      !['EC', 'RSA'].includes(header.jwk.kty) ||
+      PRIVATE_JWK_MEMBERS.some(member => member in header.jwk)) {
+    return { ok: false, reason: DPOP_FAILURE.MALFORMED };
+  }
+
+  // GOOD: The proof is verified with the key it carries - what ties that key
+  // to the user is the thumbprint check against the token below
+  let claims;
+  try {
+    const key = crypto.createPublicKey({ key: header.jwk, format: 'jwk' });
+    claims = jwt.verify(proof, key, { algorithms: [header.alg] });
+  } catch (error) {
+    return { ok: false, reason: DPOP_FAILURE.BAD_SIGNATURE };
+  }
+
+  if (typeof claims.jti !== 'string' || !claims.jti || claims.jti.length > policy.maxJtiLength ||
+      typeof claims.iat !== 'number') {
+    return { ok: false, reason: DPOP_FAILURE.MALFORMED };
+  }
+
+  if (claims.htm !== method || claims.htu !== uri) {
+    return { ok: false, reason: DPOP_FAILURE.WRONG_REQUEST };
+  }
+
+  const nowSeconds = Math.floor(now() / 1000);
+  if (claims.iat > nowSeconds + policy.clockToleranceSeconds ||
+      nowSeconds - claims.iat > policy.proofMaxAgeSeconds + policy.clockToleranceSeconds) {
+    return { ok: false, reason: DPOP_FAILURE.STALE };
+  }
+
+  if (accessToken !== undefined && claims.ath !== base64UrlSha256(accessToken)) {
+    return { ok: false, reason: DPOP_FAILURE.TOKEN_HASH_MISMATCH };
+  }
+
+  const jkt = jwkThumbprint(header.jwk);
+  if (expectedJkt !== undefined && jkt !== expectedJkt) {
+    return { ok: false, reason: DPOP_FAILURE.KEY_MISMATCH };
+  }
+
+  // GOOD: Recorded last, so only proofs that passed every check use up a jti
+  const fresh = await replayCache.remember(
+    `${jkt}:${claims.jti}`,
+    policy.proofMaxAgeSeconds + policy.clockToleranceSeconds * 2
+  );
+  if (!fresh) {
+    return { ok: false, reason: DPOP_FAILURE.REPLAYED };
+  }
+
+  return { ok: true, jkt };
+}
+
+/**
+ * Checks the binding of a token that itself verified.
+ * Plain bearer tokens pass straight through. Returns { ok } or { ok: false, reason }.
+ */
+async function enforceSenderConstraint(req, token, claims, options) {
+  if (!requiresProofOfPossession(claims)) {
+    return { ok: true };
+  }
+
+  if (!claims.cnf || typeof claims.cnf.jkt !== 'string') {
+    return { ok: false, reason: DPOP_FAILURE.UNBOUND_TOKEN };
+  }
+
+  // GOOD: A bound token sent as "Bearer" is refused, not silently accepted
+  const scheme = (req.headers.authorization || '').split(' ')[0];
+  if (scheme !== 'DPoP') {
+    return { ok: false, reason: DPOP_FAILURE.BEARER_SCHEME };
+  }
+
+  return verifyDpopProof(req.headers.dpop, {
+    method: req.method,
+    uri: requestUri(req),
+    accessToken: token,
+    expectedJkt: claims.cnf.jkt
+  }, options);
+}
+
+function sendDpopError(req, res, reason) {
+  if (reason === DPOP_FAILURE.REPLAYED) {
+    SecurityLogger.logSuspiciousActivity(req, reason, { path: req.path });
+  } else {
+    SecurityLogger.logTokenValidationFailure(req, reason);
+  }
+
+  res.set('WWW-Authenticate', `DPoP error="invalid_dpop_proof", algs="${DPOP_POLICY.algorithms.join(' ')}"`);
+  return res.status(401).json({ error: 'Invalid DPoP proof' });
+}
+
+// The `senderConstraint` option of the auth middlewares (see tokenTransportOptions):
+//   sessionAuthMiddleware(ROUTE_GROUPS.READ, { senderConstraint: senderConstraintCheck() })
+function senderConstraintCheck(options) {
+  return async (req, res, { token, claims }) => {
+    const binding = await enforceSenderConstraint(req, token, claims, options);
+    if (!binding.ok) {
+      sendDpopError(req, res, binding.reason);
+      return false;
+    }
+    return true;
+  };
+}
+
+// GOOD: Token requests carry a proof too (no ath yet) - its key is what the token is bound to
+function requireDpopKey(options) {
+  return async (req, res, next) => {
+    const result = await verifyDpopProof(req.headers.dpop, {
+      method: req.method,
+      uri: requestUri(req)
+    }, options);
+    if (!result.ok) {
+      return sendDpopError(req, res, result.reason);
+    }
+
+    req.dpopJkt = result.jkt;
+    next();
+  };
+}
+
+async function issueSenderConstrainedToken(user, jkt) {
+  const accessToken = signToken(
+    {
+      userId: user.id,
+      system: SYSTEMS.MOBILE_APP,
+      permissions: user.permissions || [],
+      cnf: { jkt } // GOOD: Bound to the app's key
+    },
+    { expiresIn: '15m' }
+  );
+  await registerSessionForToken(accessToken);
+
+  return { access_token: accessToken, token_type: 'DPoP', expires_in: 15 * 60 };
+}
+
+// ============================================================================
+// Client helper (what the mobile app does)
+// ============================================================================
+
+// GOOD: On the device the key lives in the Secure Enclave / Android Keystore
+// and is non-exportable; this Node version is for tests and tooling
+function generateDpopKeyPair() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  return { privateKey, publicJwk: publicKey.export({ format: 'jwk' }) };
+}
+
+function createDpopProof({ privateKey, publicJwk, method, url, accessToken }) {
+  const target = new URL(url);
+  return jwt.sign(
+    {
+      jti: crypto.randomUUID(),
+      htm: method,
+      htu: target.origin + target.pathname,
+      ...(accessToken && { ath: base64UrlSha256(accessToken) })
+    },
+    privateKey,
+    { algorithm: 'ES256', header: { typ: 'dpop+jwt', jwk: publicJwk } }
+  );
+}
+
+// ============================================================================
+// Express Route Examples
+// ============================================================================
+
+// ✅ SECURE Routes: mobile login binds the token to the proof's key.
+// Protected routes use the normal auth middlewares with the DPoP check switched on.
+function secureRoutes(credentialVerifier, { failureTracker, ...dpopOptions } = {}) {
+  const app = express();
+  app.use(express.json({ limit: '10kb' }));
+
+  app.post('/api/mobile/login',
+    requireDpopKey(dpopOptions),
+    (req, res) => secureLoginRoute(
+      credentialVerifier,
+      user => issueSenderConstrainedToken(user, req.dpopJkt),
+      failureTracker
+    )(req, res)
+  );
+
+  app.get('/api/mobile/profile',
+    sessionAuthMiddleware(ROUTE_GROUPS.READ, { senderConstraint: senderConstraintCheck(dpopOptions) }),
+    (req, res) => {
+      res.json({ userId: req.user.userId });
+    }
+  );
+
+  return app;
+}
+
+module.exports = {
+  DPOP_POLICY,
+  DPOP_FAILURE,
+  SENDER_CONSTRAINED_SYSTEMS,
+  insecureIssueMobileToken,
+  jwkThumbprint,
+  getDefaultDpopReplayCache,
+  setDefaultDpopReplayCache,
+  verifyDpopProof,
+  requiresProofOfPossession,
+  enforceSenderConstraint,
+  sendDpopError,
+  senderConstraintCheck,
+  requireDpopKey,
+  issueSenderConstrainedToken,
+  generateDpopKeyPair,
+  createDpopProof,
+  secureRoutes
+};
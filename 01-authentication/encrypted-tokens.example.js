@@ -0,0 +1,122 @@
+/**
+ * Example: Encrypted Tokens (Nested JWS in JWE)
+ *
+ * This file demonstrates the security issue of putting internal claims such as
+ * `system` and the full `permissions` array into a signed-but-readable JWT, and
+ * shows signed-then-encrypted tokens issued and verified through the shared
+ * issuer, verifier and signing keyring.
+ */
+
+const express = require('express');
+const {
+  signToken,
+  verifyToken,
+  getDefaultKeyring,
+  createAuthMiddleware
+} = require('./hardened-token-verification.example');
+const { PERMISSIONS } = require('../02-authorization/over-privileged-tokens.example');
+
+// ============================================================================
+// ❌ INSECURE: Readable claims
+// ============================================================================
+
+function insecureIssueToken(user) {
+  // BAD: A JWT is signed, not encrypted. Anyone holding it can read it:
+  //   JSON.parse(Buffer.from(token.split('.')[1], 'base64url'))
+  // and learn every permission name, system name and internal id it carries.
+  return signToken(
+    { userId: user.id, system: user.system, permissions: user.permissions },
+    { expiresIn: '1h' }
+  );
+}
+
+function insecureReadClaimsInClient(token) {
+  // BAD: The frontend decodes the token to decide what to show - so the
+  // token format becomes a public API that can never change
+  return JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+}
+
+// ============================================================================
+// ✅ SECURE: Sign, then encrypt
+// ============================================================================
+
+// GOOD: Same issuer, same claims - only the envelope changes.
+// Verification is unchanged: verifyToken() decrypts before any claim check.
+// signToken() signs with the default keyring, which secureRoutes() verifies with.
+function secureIssueToken(user) {
+  return signToken(
+    { userId: user.id, system: user.system, permissions: user.permissions },
+    { expiresIn: '1h', encrypt: true }
+  );
+}
+
+// GOOD: With a rotating keyring the encryption key follows the signing key -
+// same kid, same overlap window, retired together
+function secureIssueTokenWithKeyring(keyring, user) {
+  return keyring.sign(
+    { userId: user.id, system: user.system, permissions: user.permissions },
+    { encrypt: true }
+  );
+}
+
+// GOOD: What the client is allowed to know goes in the response body,
+// not in a token it has to take apart
+function secureTokenResponse(token) {
+  const result = verifyToken(token);
+  if (!result.ok) {
+    throw new Error(`Refusing to hand out a token that does not verify: ${result.reason}`);
+  }
+
+  return {
+    access_token: token,
+    token_type: 'Bearer',
+    expires_in: result.claims.exp - Math.floor(Date.now() / 1000)
+  };
+}
+
+// GOOD: Startup check that the keyring verifies the tokens it issues, plain and
+// encrypted - a kid or key mismatch stops the service instead of failing every request
+function assertTokenRoundTrip(keyring) {
+  for (const encrypt of [false, true]) {
+    const probe = keyring.sign({ userId: 'token-round-trip-check' }, { expiresIn: 60, encrypt });
+    const result = keyring.verify(probe);
+    if (!result.ok) {
+      throw new Error(`${encrypt ? 'Encrypted' : 'Plain'} token does not verify with its own keyring: ${result.reason}`);
+    }
+  }
+}
+
+// ============================================================================
+// Express Route Examples
+// ============================================================================
+
+// ✅ SECURE Routes: `keyring` defaults to the keyring behind signToken()/verifyToken();
+// with another keyring, issue through secureIssueTokenWithKeyring(keyring, user)
+function secureRoutes(keyring = getDefaultKeyring()) {
+  assertTokenRoundTrip(keyring);
+
+  const app = express();
+
+  // GOOD: Both plain and encrypted tokens verify; claim checks run on the inner token
+  app.use('/api', createAuthMiddleware(keyring));
+
+  // GOOD: The UI asks the API what it needs instead of decoding the token
+  app.get('/api/me', (req, res) => {
+    res.json({
+      userId: req.user.userId,
+      canManageUsers: (req.user.permissions || []).includes(PERMISSIONS.USERS_WRITE)
+    });
+  });
+
+  return app;
+}
+
+module.exports = {
+  insecureIssueToken,
+  insecureReadClaimsInClient,
+  secureIssueToken,
+  secureIssueTokenWithKeyring,
+  secureTokenResponse,
+  assertTokenRoundTrip,
+  secureRoutes
+};
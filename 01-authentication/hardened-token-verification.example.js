@@ -0,0 +1,793 @@
+/**
+ * Example: Hardened Token Verification
+ *
+ * This file demonstrates the security issue of calling `jwt.verify(token, secret)`
+ * with no algorithm, issuer, audience or age constraints, and shows a single
+ * verifier that every auth middleware uses, returning typed failure reasons.
+ */
+
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+
+// ============================================================================
+// ❌ INSECURE: Bare jwt.verify copied into every middleware
+// ============================================================================
+
+function insecureVerifyToken(token) {
+  try {
+    // BAD: No algorithm allow-list - accepts whatever `alg` the token claims
+    // BAD: No issuer/audience - a token minted for another service is accepted
+    // BAD: No max age, no clock tolerance, no required claims
+    return jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    // BAD: Every failure collapses into null - expired, forged and
+    // misconfigured all look the same in logs
+    return null;
+  }
+}
+
+// ============================================================================
+// ✅ SECURE: One verifier, explicit policy, typed failures
+// ============================================================================
+
+// GOOD: Every failure has a stable, loggable reason
+const TOKEN_FAILURE = Object.freeze({
+  MISSING_TOKEN: 'MISSING_TOKEN',
+  MALFORMED: 'MALFORMED',
+  ALGORITHM_NOT_ALLOWED: 'ALGORITHM_NOT_ALLOWED',
+  UNKNOWN_KEY: 'UNKNOWN_KEY',
+  INVALID_SIGNATURE: 'INVALID_SIGNATURE',
+  EXPIRED: 'EXPIRED',
+  NOT_YET_VALID: 'NOT_YET_VALID',
+  MISSING_CLAIM: 'MISSING_CLAIM',
+  ISSUER_MISMATCH: 'ISSUER_MISMATCH',
+  AUDIENCE_MISMATCH: 'AUDIENCE_MISMATCH',
+  ISSUED_IN_FUTURE: 'ISSUED_IN_FUTURE',
+  TOKEN_TOO_OLD: 'TOKEN_TOO_OLD',
+  ENVIRONMENT_MISMATCH: 'ENVIRONMENT_MISMATCH',
+  TOKEN_TYPE_MISMATCH: 'TOKEN_TYPE_MISMATCH',
+  REVOKED: 'REVOKED',
+  IDLE_TIMEOUT: 'IDLE_TIMEOUT',
+  STORE_UNAVAILABLE: 'STORE_UNAVAILABLE',
+  DECRYPTION_FAILED: 'DECRYPTION_FAILED',
+  SENDER_CONSTRAINED: 'SENDER_CONSTRAINED'
+});
+
+const HMAC_ALGORITHMS = ['HS256', 'HS384', 'HS512'];
+const ASYMMETRIC_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384', 'ES512'];
+
+const DEFAULT_TOKEN_POLICY = {
+  algorithms: ['HS256'],
+  requiredClaims: ['iss', 'aud', 'exp', 'iat', 'jti'],
+  maxTokenAgeSeconds: 24 * 60 * 60,
+  clockToleranceSeconds: 30,
+  expiresIn: '1h'
+};
+
+// GOOD: Reject policies that reopen alg-confusion or skip audience checks
+function validateTokenPolicy(policy) {
+  const algorithms = policy.algorithms || [];
+
+  if (algorithms.length === 0) {
+    throw new Error('Token policy must allow at least one algorithm');
+  }
+
+  for (const algorithm of algorithms) {
+    if (!HMAC_ALGORITHMS.includes(algorithm) && !ASYMMETRIC_ALGORITHMS.includes(algorithm)) {
+      throw new Error(`Algorithm not supported by token policy: ${algorithm}`);
+    }
+  }
+
+  // GOOD: Mixing HMAC and public-key algorithms lets an attacker sign an
+  // HS256 token using the (public) RSA/EC key as the HMAC secret
+  const hasHmac = algorithms.some(a => HMAC_ALGORITHMS.includes(a));
+  const hasAsymmetric = algorithms.some(a => ASYMMETRIC_ALGORITHMS.includes(a));
+  if (hasHmac && hasAsymmetric) {
+    throw new Error('Token policy must not mix HMAC and public-key algorithms');
+  }
+
+  if (!policy.issuer) {
+    throw new Error('Token policy requires an issuer');
+  }
+  if (!policy.audience) {
+    throw new Error('Token policy requires an audience');
+  }
+  if (!(policy.maxTokenAgeSeconds > 0)) {
+    throw new Error('Token policy requires a positive maxTokenAgeSeconds');
+  }
+
+  return true;
+}
+
+// GOOD: Policy comes from configuration, validated once
+// .env:
+// JWT_ISSUER=https://auth.example.com
+// JWT_AUDIENCE=api.example.com
+// JWT_ALGORITHMS=HS256
+// JWT_MAX_TOKEN_AGE_SECONDS=86400
+// JWT_CLOCK_TOLERANCE_SECONDS=30
+function loadTokenPolicyFromEnv(overrides = {}) {
+  const policy = {
+    ...DEFAULT_TOKEN_POLICY,
+    issuer: process.env.JWT_ISSUER,
+    audience: process.env.JWT_AUDIENCE,
+    ...(process.env.JWT_ALGORITHMS && {
+      algorithms: process.env.JWT_ALGORITHMS.split(',').map(a => a.trim())
+    }),
+    ...(process.env.JWT_MAX_TOKEN_AGE_SECONDS && {
+      maxTokenAgeSeconds: Number(process.env.JWT_MAX_TOKEN_AGE_SECONDS)
+    }),
+    ...(process.env.JWT_CLOCK_TOLERANCE_SECONDS && {
+      clockToleranceSeconds: Number(process.env.JWT_CLOCK_TOLERANCE_SECONDS)
+    }),
+    ...overrides
+  };
+
+  validateTokenPolicy(policy);
+  return policy;
+}
+
+// GOOD: Tokens for these systems must be sender-constrained (DPoP). verify()
+// refuses them - and any token carrying `cnf` - unless the caller opts in
+// because it checks the proof itself, so there is no downgrade to bearer.
+// Values are system names from SYSTEMS (cross-system-access).
+const SENDER_CONSTRAINED_SYSTEMS = Object.freeze(['mobile-app']);
+
+function requiresProofOfPossession(claims) {
+  return Boolean(claims.cnf) || SENDER_CONSTRAINED_SYSTEMS.includes(claims.system);
+}
+
+function fail(reason, detail) {
+  return { ok: false, reason: reason, detail: detail };
+}
+
+function mapVerifyError(error) {
+  if (error.name === 'TokenExpiredError') {
+    return fail(TOKEN_FAILURE.EXPIRED);
+  }
+  if (error.name === 'NotBeforeError') {
+    return fail(TOKEN_FAILURE.NOT_YET_VALID);
+  }
+  if (error.message === 'invalid algorithm') {
+    return fail(TOKEN_FAILURE.ALGORITHM_NOT_ALLOWED);
+  }
+  if (error.message === 'invalid signature') {
+    return fail(TOKEN_FAILURE.INVALID_SIGNATURE);
+  }
+  return fail(TOKEN_FAILURE.MALFORMED, error.message);
+}
+
+// ============================================================================
+// Encrypted tokens (JWE, RFC 7516): signed first, then encrypted
+// ============================================================================
+
+// GOOD: One fixed, authenticated construction - no algorithm negotiation
+const JWE_ALGORITHM = 'dir';
+const JWE_ENCRYPTION = 'A256GCM';
+
+// GOOD: The encryption key is derived from the signing secret with HKDF, so it
+// is never the same bytes as the HMAC key and rotates together with it
+function deriveTokenEncryptionKey(secret) {
+  return Buffer.from(crypto.hkdfSync('sha256', secret, Buffer.alloc(0), 'token-encryption:A256GCM', 32));
+}
+
+function isEncryptedToken(token) {
+  return typeof token === 'string' && token.split('.').length === 5;
+}
+
+// `encryptionKey` is `{ key, kid }` - a 32-byte key and an optional key id
+function encryptToken(signedToken, { key, kid }) {
+  const header = Buffer.from(JSON.stringify({
+    alg: JWE_ALGORITHM,
+    enc: JWE_ENCRYPTION,
+    cty: 'JWT', // GOOD: Marks the payload as a nested, signed JWT
+    ...(kid && { kid })
+  })).toString('base64url');
+  const iv = crypto.randomBytes(12);
+
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(header, 'ascii'));
+  const ciphertext = Buffer.concat([cipher.update(signedToken, 'utf8'), cipher.final()]);
+
+  // Compact serialization; the encrypted key part is empty for "dir"
+  return [header, '', iv.toString('base64url'), ciphertext.toString('base64url'),
+    cipher.getAuthTag().toString('base64url')].join('.');
+}
+
+// Returns { ok: true, token } with the inner signed JWT, or { ok: false, reason, detail }
+function decryptToken(encryptedToken, getDecryptionKey) {
+  const [header, encryptedKey, iv, ciphertext, tag] = encryptedToken.split('.');
+
+  let parsedHeader;
+  try {
+    parsedHeader = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+  } catch (error) {
+    return fail(TOKEN_FAILURE.MALFORMED);
+  }
+
+  if (!parsedHeader || typeof parsedHeader !== 'object') {
+    return fail(TOKEN_FAILURE.MALFORMED);
+  }
+  if (parsedHeader.alg !== JWE_ALGORITHM || parsedHeader.enc !== JWE_ENCRYPTION ||
+      parsedHeader.cty !== 'JWT' || encryptedKey !== '') {
+    return fail(TOKEN_FAILURE.ALGORITHM_NOT_ALLOWED, parsedHeader.enc);
+  }
+
+  let key;
+  try {
+    key = getDecryptionKey ? getDecryptionKey(parsedHeader) : null;
+  } catch (error) {
+    key = null;
+  }
+  if (!key) {
+    return fail(TOKEN_FAILURE.UNKNOWN_KEY, parsedHeader.kid);
+  }
+
+  // GOOD: GCM accepts shorter tags unless told otherwise - a 4-byte tag would
+  // make forgery a matter of guessing. Only the full 16-byte tag and 12-byte IV.
+  const ivBytes = Buffer.from(iv, 'base64url');
+  const tagBytes = Buffer.from(tag, 'base64url');
+  if (ivBytes.length !== 12 || tagBytes.length !== 16) {
+    return fail(TOKEN_FAILURE.MALFORMED);
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, ivBytes, { authTagLength: 16 });
+    decipher.setAAD(Buffer.from(header, 'ascii'));
+    decipher.setAuthTag(tagBytes);
+    const token = Buffer.concat([
+      decipher.update(Buffer.from(ciphertext, 'base64url')),
+      decipher.final()
+    ]).toString('utf8');
+
+    return { ok: true, token: token };
+  } catch (error) {
+    // GOOD: Tampered, truncated or wrong-key ciphertext all end here
+    return fail(TOKEN_FAILURE.DECRYPTION_FAILED);
+  }
+}
+
+/**
+ * Create a verifier bound to a policy and a key resolver.
+ *
+ * `getKey(header)` returns the secret or public key for the token's header
+ * (e.g. looked up by `kid`), or null if the key is unknown.
+ *
+ * `getDecryptionKey(jweHeader)` is optional; when set, encrypted tokens are
+ * decrypted first and the inner signed token goes through the same checks.
+ *
+ * `verify(token, { allowSenderConstrained })` returns `{ ok: true, claims }` or
+ * `{ ok: false, reason, detail }`. Sender-constrained tokens fail with
+ * SENDER_CONSTRAINED unless `allowSenderConstrained` is set by a caller that
+ * runs the DPoP check (dpop-sender-constrained-tokens).
+ */
+function createTokenVerifier({ getKey, getDecryptionKey, ...policyOverrides }) {
+  const policy = { ...DEFAULT_TOKEN_POLICY, ...policyOverrides };
+  validateTokenPolicy(policy);
+
+  const audiences = Array.isArray(policy.audience) ? policy.audience : [policy.audience];
+
+  function verify(token, { allowSenderConstrained = false } = {}) {
+    if (typeof token !== 'string' || token.length === 0) {
+      return fail(TOKEN_FAILURE.MISSING_TOKEN);
+    }
+
+    if (isEncryptedToken(token)) {
+      const decrypted = decryptToken(token, getDecryptionKey);
+      if (!decrypted.ok) {
+        return decrypted;
+      }
+      token = decrypted.token;
+    }
+
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded || typeof decoded.payload !== 'object' || decoded.payload === null) {
+      return fail(TOKEN_FAILURE.MALFORMED);
+    }
+
+    // GOOD: Algorithm pinned before any key is looked up
+    if (!policy.algorithms.includes(decoded.header.alg)) {
+      return fail(TOKEN_FAILURE.ALGORITHM_NOT_ALLOWED, decoded.header.alg);
+    }
+
+    let key;
+    try {
+      key = getKey(decoded.header);
+    } catch (error) {
+      key = null;
+    }
+    if (!key) {
+      return fail(TOKEN_FAILURE.UNKNOWN_KEY, decoded.header.kid);
+    }
+
+    let claims;
+    try {
+      // GOOD: Signature, exp and nbf checked with pinned algorithms and skew
+      claims = jwt.verify(token, key, {
+        algorithms: policy.algorithms,
+        clockTolerance: policy.clockToleranceSeconds
+      });
+    } catch (error) {
+      return mapVerifyError(error);
+    }
+
+    // GOOD: Required claims must be present, not just valid when present
+    for (const claim of policy.requiredClaims) {
+      if (claims[claim] === undefined || claims[claim] === null || claims[claim] === '') {
+        return fail(TOKEN_FAILURE.MISSING_CLAIM, claim);
+      }
+    }
+
+    if (claims.iss !== policy.issuer) {
+      return fail(TOKEN_FAILURE.ISSUER_MISMATCH);
+    }
+
+    // GOOD: Token minted for another service is not accepted here
+    const tokenAudiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!tokenAudiences.some(aud => audiences.includes(aud))) {
+      return fail(TOKEN_FAILURE.AUDIENCE_MISMATCH);
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof claims.iat === 'number') {
+      if (claims.iat > now + policy.clockToleranceSeconds) {
+        return fail(TOKEN_FAILURE.ISSUED_IN_FUTURE);
+      }
+
+      // GOOD: Even a token with a far-future exp is capped by max age
+      if (now - claims.iat > policy.maxTokenAgeSeconds + policy.clockToleranceSeconds) {
+        return fail(TOKEN_FAILURE.TOKEN_TOO_OLD);
+      }
+    }
+
+    if (!allowSenderConstrained && requiresProofOfPossession(claims)) {
+      return fail(TOKEN_FAILURE.SENDER_CONSTRAINED);
+    }
+
+    return { ok: true, claims: claims };
+  }
+
+  return { policy, verify };
+}
+
+/**
+ * Create an issuer that always stamps the claims the verifier requires.
+ *
+ * `getSigningKey()` returns `{ key, kid }`; `kid` is optional.
+ * `getEncryptionKey()` (optional) returns `{ key, kid }` for tokens signed
+ * with `{ encrypt: true }`.
+ */
+function createTokenIssuer({ getSigningKey, getEncryptionKey, ...policyOverrides }) {
+  const policy = { ...DEFAULT_TOKEN_POLICY, ...policyOverrides };
+  validateTokenPolicy(policy);
+
+  function sign(payload, { encrypt = false, ...options } = {}) {
+    const { key, kid } = getSigningKey();
+    if (!key) {
+      throw new Error('No signing key configured');
+    }
+
+    // GOOD: iss, aud, iat, exp and a unique jti on every token
+    const token = jwt.sign(payload, key, {
+      algorithm: policy.algorithm || policy.algorithms[0],
+      issuer: policy.issuer,
+      audience: policy.audience,
+      expiresIn: policy.expiresIn,
+      jwtid: crypto.randomUUID(),
+      ...(kid && { keyid: kid }),
+      ...options
+    });
+
+    if (!encrypt) {
+      return token;
+    }
+
+    // GOOD: Sign, then encrypt - claims are integrity-protected by the issuer's
+    // signature and hidden from the client that carries the token
+    const encryptionKey = getEncryptionKey ? getEncryptionKey() : {};
+    if (!encryptionKey.key) {
+      throw new Error('No encryption key configured');
+    }
+    return encryptToken(token, encryptionKey);
+  }
+
+  return { policy, sign };
+}
+
+// ============================================================================
+// Signing keyring: kid on every token, overlap window for rotation
+// (see secret-rotation-keyring)
+// ============================================================================
+
+// GOOD: Overlap must cover the longest-lived token signed with the old key
+const DEFAULT_OVERLAP_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+// GOOD: Stable key id derived from the secret (one-way, safe to put in headers).
+// Every instance loading the same secret computes the same kid.
+function deriveKeyId(secret) {
+  return crypto.createHash('sha256')
+    .update('kid:' + secret)
+    .digest('base64url')
+    .substring(0, 16);
+}
+
+class SigningKeyring {
+  constructor({
+    overlapMs = DEFAULT_OVERLAP_MS,
+    algorithm = 'HS256',
+    validateSecret = (secret) => {
+      if (!secret || secret.length < 32) {
+        throw new Error('Secret must be at least 32 characters long');
+      }
+    },
+    now = () => Date.now(),
+    policy = loadTokenPolicyFromEnv({ algorithms: [algorithm] })
+  } = {}) {
+    this.overlapMs = overlapMs;
+    this.algorithm = algorithm;
+    this.validateSecret = validateSecret;
+    this.now = now;
+    this.keys = new Map(); // kid -> { kid, secret, createdAt, retiredAt }
+    this.currentKid = null;
+
+    // GOOD: Issuer and verifier come from the shared token policy;
+    // the keyring only decides which key signs and which keys verify
+    this.issuer = createTokenIssuer({
+      ...policy,
+      getSigningKey: () => {
+        const current = this.getCurrentKey();
+        return current ? { key: current.secret, kid: current.kid } : {};
+      },
+      // GOOD: Encrypted tokens use a key derived from the same entry and carry
+      // the same kid, so rotation and retirement cover both
+      getEncryptionKey: () => {
+        const current = this.getCurrentKey();
+        return current ? { key: deriveTokenEncryptionKey(current.secret), kid: current.kid } : {};
+      }
+    });
+    this.verifier = createTokenVerifier({
+      ...policy,
+      // GOOD: No kid, no key - no guessing which secret to try
+      getKey: (header) => {
+        const key = header.kid ? this.getVerificationKey(header.kid) : null;
+        return key ? key.secret : null;
+      },
+      getDecryptionKey: (header) => this.getDecryptionKey(header)
+    });
+  }
+
+  // GOOD: Add a key that is still inside its overlap window (e.g. on startup)
+  addKey(secret, { kid = deriveKeyId(secret), retiredAt = null } = {}) {
+    this.validateSecret(secret);
+
+    if (this.keys.has(kid)) {
+      throw new Error(`Key ${kid} is already in the keyring`);
+    }
+
+    this.keys.set(kid, { kid, secret, createdAt: this.now(), retiredAt });
+
+    if (retiredAt === null) {
+      if (this.currentKid) {
+        throw new Error('Keyring already has a current key; use rotate()');
+      }
+      this.currentKid = kid;
+    }
+
+    return kid;
+  }
+
+  // GOOD: New key becomes current, old key is accepted until the window ends
+  rotate(newSecret, kid = deriveKeyId(newSecret)) {
+    this.validateSecret(newSecret);
+
+    const current = this.getCurrentKey();
+    if (current && current.secret === newSecret) {
+      throw new Error('New secret must be different from the current secret');
+    }
+    if (this.keys.has(kid)) {
+      throw new Error(`Key ${kid} is already in the keyring`);
+    }
+
+    if (current) {
+      current.retiredAt = this.now();
+    }
+    this.currentKid = null;
+    this.addKey(newSecret, { kid });
+
+    this.pruneRetiredKeys();
+
+    return {
+      currentKid: kid,
+      previousKid: current ? current.kid : null,
+      previousAcceptedUntil: current
+        ? new Date(current.retiredAt + this.overlapMs).toISOString()
+        : null
+    };
+  }
+
+  // GOOD: Retired keys are dropped automatically after the overlap window
+  pruneRetiredKeys() {
+    const now = this.now();
+    for (const [kid, key] of this.keys) {
+      if (key.retiredAt !== null && now - key.retiredAt > this.overlapMs) {
+        this.keys.delete(kid);
+      }
+    }
+  }
+
+  getCurrentKey() {
+    if (!this.currentKid) {
+      return null;
+    }
+    return this.keys.get(this.currentKid);
+  }
+
+  // Encryption key for a JWE header, by the same kid rules as signatures
+  getDecryptionKey(header) {
+    const key = header.kid ? this.getVerificationKey(header.kid) : null;
+    return key ? deriveTokenEncryptionKey(key.secret) : null;
+  }
+
+  // GOOD: Look up a verification key by kid - only if still accepted
+  getVerificationKey(kid) {
+    this.pruneRetiredKeys();
+    return this.keys.get(kid) || null;
+  }
+
+  // Pass `{ encrypt: true }` for a signed-then-encrypted token (JWE)
+  sign(payload, options = {}) {
+    if (!this.getCurrentKey()) {
+      throw new Error('Keyring has no current signing key');
+    }
+
+    // GOOD: Every token is stamped with the kid of the key that signed it
+    return this.issuer.sign(payload, options);
+  }
+
+  // Returns { ok: true, claims } or { ok: false, reason } (see TOKEN_FAILURE)
+  verify(token, options) {
+    return this.verifier.verify(token, options);
+  }
+
+  // Summary for health checks and audit logs - never includes secrets
+  describe() {
+    return Array.from(this.keys.values()).map(key => ({
+      kid: key.kid,
+      current: key.kid === this.currentKid,
+      acceptedUntil: key.retiredAt === null
+        ? null
+        : new Date(key.retiredAt + this.overlapMs).toISOString()
+    }));
+  }
+}
+
+// GOOD: Load the keyring from the environment on startup
+// .env:
+// JWT_SECRET=<current 64-char hex secret>
+// JWT_PREVIOUS_SECRET=<previous secret, only during the overlap window>
+// JWT_PREVIOUS_SECRET_RETIRED_AT=2025-01-01T00:00:00Z
+// JWT_KEY_OVERLAP_HOURS=24
+function loadKeyringFromEnv(options = {}) {
+  const overlapHours = Number(process.env.JWT_KEY_OVERLAP_HOURS || 24);
+  const keyring = new SigningKeyring({
+    overlapMs: overlapHours * 60 * 60 * 1000,
+    ...options
+  });
+
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET environment variable is required');
+  }
+  keyring.addKey(process.env.JWT_SECRET);
+
+  if (process.env.JWT_PREVIOUS_SECRET) {
+    const retiredAt = Date.parse(process.env.JWT_PREVIOUS_SECRET_RETIRED_AT);
+    if (Number.isNaN(retiredAt)) {
+      throw new Error('JWT_PREVIOUS_SECRET_RETIRED_AT must be a valid date');
+    }
+    keyring.addKey(process.env.JWT_PREVIOUS_SECRET, { retiredAt });
+    keyring.pruneRetiredKeys();
+  }
+
+  return keyring;
+}
+
+// ============================================================================
+// Default verifier / issuer: the keyring loaded from JWT_SECRET and
+// JWT_PREVIOUS_SECRET, so a rotation never logs every user out
+// ============================================================================
+
+let defaultKeyring = null;
+
+function getDefaultKeyring() {
+  if (!defaultKeyring) {
+    defaultKeyring = loadKeyringFromEnv();
+  }
+  return defaultKeyring;
+}
+
+// GOOD: Lets the owner of the secrets (SecretManager) install the keyring it
+// rotates, so signToken()/verifyToken() follow the rotation
+function setDefaultKeyring(keyring) {
+  defaultKeyring = keyring;
+}
+
+function getDefaultVerifier() {
+  return getDefaultKeyring().verifier;
+}
+
+function getDefaultIssuer() {
+  return getDefaultKeyring().issuer;
+}
+
+// GOOD: The only two functions application code should call
+function signToken(payload, options) {
+  return getDefaultIssuer().sign(payload, options);
+}
+
+function verifyToken(token, options) {
+  return getDefaultVerifier().verify(token, options);
+}
+
+// GOOD: Reads the claims of a token this service has just issued, e.g. to
+// register its session. jwt.decode() returns null for an encrypted token, so
+// decrypt first. Never use it on a token a client sent - that is verifyToken().
+function decodeIssuedToken(token, getDecryptionKey = header => getDefaultKeyring().getDecryptionKey(header)) {
+  if (isEncryptedToken(token)) {
+    const decrypted = decryptToken(token, getDecryptionKey);
+    if (!decrypted.ok) {
+      throw new Error(`Cannot decode issued token: ${decrypted.reason}`);
+    }
+    return jwt.decode(decrypted.token);
+  }
+  return jwt.decode(token);
+}
+
+// ============================================================================
+// Token transport options shared by the auth middlewares
+// ============================================================================
+
+const TOKEN_TRANSPORTS = {
+  HEADER: 'header',
+  COOKIE: 'cookie'
+};
+
+// Default token source: `Authorization: Bearer <token>` (or `DPoP <token>`)
+function readAuthorizationHeader(req) {
+  const header = req.headers.authorization;
+  return { token: header ? header.split(' ')[1] || null : null, transport: TOKEN_TRANSPORTS.HEADER };
+}
+
+// GOOD: A cookie-carried token on a middleware with no CSRF check is refused
+async function refuseUncheckedCookieToken(req, res, { transport }) {
+  if (transport !== TOKEN_TRANSPORTS.HEADER) {
+    res.status(401).json({ error: 'Invalid or expired token' });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Options accepted by every auth middleware. The defaults read the
+ * Authorization header only and fail closed on the rest (verify() refuses
+ * key-bound tokens); the route wiring opts in to the DPoP and cookie transports:
+ *
+ *   readToken(req)                   -> { token, transport }
+ *   senderConstraint(req, res, context),
+ *   csrf(req, res, context)          -> true to continue, false once the check
+ *                                       has sent its error response
+ *   (context is { token, claims, transport })
+ *
+ * e.g. { senderConstraint: senderConstraintCheck() } (dpop-sender-constrained-tokens)
+ * or   COOKIE_TRANSPORT_OPTIONS (cookie-session-transport)
+ */
+function tokenTransportOptions({
+  readToken = readAuthorizationHeader,
+  senderConstraint = null,
+  csrf = refuseUncheckedCookieToken
+} = {}) {
+  return {
+    readToken,
+    senderConstraint,
+    csrf,
+    // GOOD: Key-bound tokens verify only where the DPoP check will run
+    verifyOptions: { allowSenderConstrained: Boolean(senderConstraint) }
+  };
+}
+
+// Runs the sender-constraint and CSRF checks for a verified token.
+// Returns false if one of them already sent the error response.
+async function runTokenChecks(req, res, context, checks) {
+  if (checks.senderConstraint && !(await checks.senderConstraint(req, res, context))) {
+    return false;
+  }
+  return checks.csrf(req, res, context);
+}
+
+// ============================================================================
+// Express Middleware Example
+// ============================================================================
+
+// ❌ INSECURE Middleware
+function insecureAuthMiddleware(req, res, next) {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (!token) {
+    return res.status(401).json({ error: 'No token provided' });
+  }
+
+  const decoded = insecureVerifyToken(token);
+  if (!decoded) {
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+
+  req.user = decoded;
+  next(); // Accepts tokens for any audience, any algorithm, any age
+}
+
+// ✅ SECURE Middleware
+function createAuthMiddleware(verifier = getDefaultVerifier(), options) {
+  const checks = tokenTransportOptions(options);
+
+  return async (req, res, next) => {
+    const { token, transport } = checks.readToken(req);
+    if (!token) {
+      return res.status(401).json({ error: 'No token provided' });
+    }
+
+    const result = verifier.verify(token, checks.verifyOptions);
+    if (!result.ok) {
+      // GOOD: Reason available for logging; response stays generic
+      req.authFailureReason = result.reason;
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    // GOOD: DPoP proof for key-bound tokens, CSRF token for cookie-carried ones
+    if (!(await runTokenChecks(req, res, { token, claims: result.claims, transport }, checks))) {
+      return;
+    }
+
+    req.user = result.claims;
+    next();
+  };
+}
+
+function secureAuthMiddleware(req, res, next) {
+  return createAuthMiddleware()(req, res, next);
+}
+
+module.exports = {
+  TOKEN_FAILURE,
+  HMAC_ALGORITHMS,
+  ASYMMETRIC_ALGORITHMS,
+  DEFAULT_TOKEN_POLICY,
+  JWE_ALGORITHM,
+  JWE_ENCRYPTION,
+  insecureVerifyToken,
+  validateTokenPolicy,
+  loadTokenPolicyFromEnv,
+  SENDER_CONSTRAINED_SYSTEMS,
+  requiresProofOfPossession,
+  deriveTokenEncryptionKey,
+  isEncryptedToken,
+  encryptToken,
+  decryptToken,
+  createTokenVerifier,
+  createTokenIssuer,
+  DEFAULT_OVERLAP_MS,
+  deriveKeyId,
+  SigningKeyring,
+  loadKeyringFromEnv,
+  getDefaultKeyring,
+  setDefaultKeyring,
+  getDefaultVerifier,
+  getDefaultIssuer,
+  signToken,
+  verifyToken,
+  decodeIssuedToken,
+  TOKEN_TRANSPORTS,
+  readAuthorizationHeader,
+  tokenTransportOptions,
+  runTokenChecks,
+  insecureAuthMiddleware,
+  createAuthMiddleware,
+  secureAuthMiddleware
+};
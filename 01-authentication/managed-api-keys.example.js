@@ -0,0 +1,385 @@
+/**
+ * Example: Managed API Keys
+ *
+ * This file demonstrates the security issue of a single shared API key kept in an
+ * environment variable and compared with `===`, and shows per-partner keys that
+ * are shown once, stored hashed, scoped to PERMISSIONS, expire, can be rotated
+ * and revoked, and authenticate requests into the same `req.user` shape as tokens.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const {
+  PERMISSIONS,
+  getDefaultPermissionResolver
+} = require('../02-authorization/over-privileged-tokens.example');
+const {
+  SecurityLogger,
+  secureAuthMiddleware,
+  secureAuthorizationCheck
+} = require('../07-detection-and-logging/missing-security-logs.example');
+const {
+  FAILURE_KINDS,
+  getDefaultAuthFailureTracker,
+  sendLockedResponse
+} = require('./brute-force-lockout.example');
+
+// ============================================================================
+// ❌ INSECURE: One key in an environment variable
+// ============================================================================
+
+function insecureApiKeyMiddleware(req, res, next) {
+  // BAD: Every partner gets the same key - revoking one partner revokes all.
+  // BAD: `===` leaks the matching prefix through timing.
+  // BAD: No scopes, no expiry, no idea who called or when the key was last used.
+  if (req.headers['x-api-key'] === process.env.INTERNAL_API_KEY) {
+    req.user = { userId: 'partner', permissions: Object.values(PERMISSIONS) };
+    return next();
+  }
+  return res.status(401).json({ error: 'Invalid API key' });
+}
+
+// ============================================================================
+// ✅ SECURE: Prefixed keys, hashed storage, scopes, expiry, rotation
+// ============================================================================
+
+// Key format: <prefix>_<keyId>_<secret>
+//   prefix - fixed, so secret scanners (and people) recognize leaked keys
+//   keyId  - public, 16 hex chars, used to find the record
+//   secret - 32 random bytes, base64url; only its hash is stored
+const API_KEY_PREFIX = 'sgk';
+const API_KEY_PATTERN = new RegExp(`^${API_KEY_PREFIX}_([0-9a-f]{16})_([A-Za-z0-9_-]{43})$`);
+
+const API_KEY_FAILURE = {
+  MALFORMED: 'MALFORMED',
+  UNKNOWN: 'UNKNOWN',
+  REVOKED: 'REVOKED',
+  EXPIRED: 'EXPIRED'
+};
+
+// GOOD: Scopes are PERMISSIONS values - keys are checked by the same guards as tokens.
+// Admin access is never available to a key.
+const API_KEY_SCOPES = Object.values(PERMISSIONS).filter(
+  permission => permission !== PERMISSIONS.ADMIN_ACCESS
+);
+
+const API_KEY_LIFETIME = {
+  defaultDays: 90,
+  maxDays: 365,
+  rotationGraceSeconds: 24 * 60 * 60, // Old key keeps working while partners deploy the new one
+  lastUsedIntervalSeconds: 60 // Write last-used at most once a minute
+};
+
+// GOOD: 256-bit random secrets - a fast hash is enough, there is nothing to brute-force
+function hashApiKeySecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function parseApiKey(apiKey) {
+  const match = API_KEY_PATTERN.exec(typeof apiKey === 'string' ? apiKey : '');
+  return match ? { keyId: match[1], secret: match[2] } : null;
+}
+
+function publicKeyRecord(record) {
+  const { secretHash, ...rest } = record;
+  return rest;
+}
+
+// GOOD: Minimal key store contract, so the service works with any database:
+//   insert(record)
+//   findById(keyId)          -> record | null
+//   update(keyId, changes)   -> record | null
+//   listByOwner(ownerId)     -> record[]
+class InMemoryApiKeyRepository {
+  constructor() {
+    this.keys = new Map();
+  }
+
+  async insert(record) {
+    this.keys.set(record.keyId, { ...record });
+  }
+
+  async findById(keyId) {
+    const record = this.keys.get(keyId);
+    return record ? { ...record } : null;
+  }
+
+  async update(keyId, changes) {
+    const record = this.keys.get(keyId);
+    if (!record) {
+      return null;
+    }
+    Object.assign(record, changes);
+    return { ...record };
+  }
+
+  async listByOwner(ownerId) {
+    return Array.from(this.keys.values())
+      .filter(record => record.ownerId === ownerId)
+      .map(record => ({ ...record }));
+  }
+}
+
+class ApiKeyService {
+  constructor({ repository, lifetime = API_KEY_LIFETIME, now = () => Date.now() } = {}) {
+    if (!repository) {
+      throw new Error('ApiKeyService requires a key repository');
+    }
+    this.repository = repository;
+    this.lifetime = lifetime;
+    this.now = now;
+    this.dummyHash = hashApiKeySecret(crypto.randomBytes(32).toString('base64url'));
+  }
+
+  validateScopes(scopes) {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new Error('API key requires at least one scope');
+    }
+    const invalid = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (invalid.length > 0) {
+      throw new Error(`Scopes not allowed for API keys: ${invalid.join(', ')}`);
+    }
+    return Array.from(new Set(scopes));
+  }
+
+  // GOOD: The full key is returned once, here - it cannot be recovered later
+  async create({ ownerId, name, scopes, expiresInDays = this.lifetime.defaultDays, createdBy }) {
+    if (!ownerId) {
+      throw new Error('API key requires an owner');
+    }
+    if (!Number.isInteger(expiresInDays) || expiresInDays <= 0 || expiresInDays > this.lifetime.maxDays) {
+      throw new Error(`API key lifetime must be 1-${this.lifetime.maxDays} days`);
+    }
+
+    const keyId = crypto.randomBytes(8).toString('hex');
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const record = {
+      keyId: keyId,
+      ownerId: ownerId,
+      name: name || null,
+      secretHash: hashApiKeySecret(secret),
+      scopes: this.validateScopes(scopes),
+      createdAt: this.now(),
+      createdBy: createdBy || null,
+      expiresAt: this.now() + expiresInDays * 24 * 60 * 60 * 1000,
+      revokedAt: null,
+      lastUsedAt: null,
+      rotatedFrom: null
+    };
+
+    await this.repository.insert(record);
+    return { apiKey: `${API_KEY_PREFIX}_${keyId}_${secret}`, key: publicKeyRecord(record) };
+  }
+
+  // Returns { ok: true, key } or { ok: false, reason } (see API_KEY_FAILURE)
+  async verify(apiKey, req = {}) {
+    const parsed = parseApiKey(apiKey);
+    if (!parsed) {
+      return { ok: false, reason: API_KEY_FAILURE.MALFORMED };
+    }
+
+    const record = await this.repository.findById(parsed.keyId);
+
+    // GOOD: Lookup by public id, then a constant-time compare of the hash.
+    // Unknown ids are compared against a dummy so timing is the same.
+    const expected = Buffer.from(record ? record.secretHash : this.dummyHash, 'hex');
+    const actual = Buffer.from(hashApiKeySecret(parsed.secret), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual) || !record) {
+      return { ok: false, reason: API_KEY_FAILURE.UNKNOWN };
+    }
+
+    if (record.revokedAt) {
+      return { ok: false, reason: API_KEY_FAILURE.REVOKED };
+    }
+    if (record.expiresAt <= this.now()) {
+      return { ok: false, reason: API_KEY_FAILURE.EXPIRED };
+    }
+
+    // GOOD: Last-used is kept for audits and stale-key cleanup, throttled
+    // so a busy key does not write on every request
+    if (!record.lastUsedAt || this.now() - record.lastUsedAt >= this.lifetime.lastUsedIntervalSeconds * 1000) {
+      try {
+        await this.repository.update(record.keyId, { lastUsedAt: this.now(), lastUsedIp: req.ip || null });
+      } catch (error) {
+        console.error('API key last-used update failed for key', record.keyId, error.message);
+      }
+    }
+
+    return { ok: true, key: publicKeyRecord(record) };
+  }
+
+  // GOOD: New key with the same owner and scopes; the old one is cut to a
+  // short grace period instead of breaking the partner's traffic immediately
+  async rotate(keyId, { rotatedBy, graceSeconds = this.lifetime.rotationGraceSeconds } = {}) {
+    const current = await this.repository.findById(keyId);
+    if (!current || current.revokedAt || current.expiresAt <= this.now()) {
+      return null;
+    }
+
+    const remainingDays = Math.ceil((current.expiresAt - this.now()) / (24 * 60 * 60 * 1000));
+    const created = await this.create({
+      ownerId: current.ownerId,
+      name: current.name,
+      scopes: current.scopes,
+      expiresInDays: Math.max(remainingDays, this.lifetime.defaultDays),
+      createdBy: rotatedBy
+    });
+    await this.repository.update(created.key.keyId, { rotatedFrom: keyId });
+    await this.repository.update(keyId, {
+      expiresAt: Math.min(current.expiresAt, this.now() + graceSeconds * 1000),
+      replacedBy: created.key.keyId
+    });
+
+    return { ...created, key: { ...created.key, rotatedFrom: keyId } };
+  }
+
+  async revoke(keyId, req = { headers: {} }) {
+    const record = await this.repository.update(keyId, {
+      revokedAt: this.now(),
+      revokedBy: req.user?.userId || null
+    });
+    if (record) {
+      SecurityLogger.logApiKeyRevoked(req, {
+        keyId: keyId,
+        ownerId: record.ownerId
+      });
+    }
+    return Boolean(record);
+  }
+
+  async list(ownerId) {
+    return (await this.repository.listByOwner(ownerId)).map(publicKeyRecord);
+  }
+}
+
+// ============================================================================
+// Express Middleware Example
+// ============================================================================
+
+// ✅ SECURE Middleware: `Authorization: ApiKey <key>`.
+// The Authorization header is redacted by proxies and loggers that would
+// happily print a custom `x-api-key` header.
+function apiKeyAuthMiddleware(apiKeyService, failureTracker = getDefaultAuthFailureTracker()) {
+  return async (req, res, next) => {
+    const match = /^ApiKey (\S+)$/.exec(req.headers.authorization || '');
+    if (!match) {
+      SecurityLogger.logAuthFailure(req, 'NO_API_KEY_PROVIDED');
+      return res.status(401).json({ error: 'No API key provided' });
+    }
+
+    try {
+      const decision = await failureTracker.check({ ip: req.ip });
+      if (!decision.allowed) {
+        return sendLockedResponse(res, decision);
+      }
+
+      const result = await apiKeyService.verify(match[1], req);
+      if (!result.ok) {
+        SecurityLogger.logAuthFailure(req, `API_KEY_${result.reason}`);
+        await failureTracker.recordFailure({ ip: req.ip, kind: FAILURE_KINDS.API_KEY }, req);
+        // GOOD: One message for unknown, revoked and expired keys
+        return res.status(401).json({ error: 'Invalid API key' });
+      }
+
+      // GOOD: Same shape as verified token claims, so requirePermission and
+      // secureAuthorizationCheck work unchanged - the resolver keeps a key's
+      // scopes and never adds its owner's role
+      req.user = {
+        userId: result.key.ownerId,
+        permissions: result.key.scopes,
+        apiKeyId: result.key.keyId,
+        authMethod: 'api-key'
+      };
+
+      SecurityLogger.logAuthSuccess(req, result.key.ownerId);
+      next();
+    } catch (error) {
+      // GOOD: Key store down is an error, not an unhandled rejection
+      // that leaves the request hanging
+      next(error);
+    }
+  };
+}
+
+// ============================================================================
+// Express Route Examples
+// ============================================================================
+
+// ✅ SECURE Routes: admins manage keys, partners call with them
+function secureRoutes(apiKeyService, { resolver = getDefaultPermissionResolver() } = {}) {
+  const app = express();
+  app.use(express.json({ limit: '10kb' }));
+
+  const adminOnly = [
+    secureAuthMiddleware,
+    secureAuthorizationCheck(PERMISSIONS.ADMIN_ACCESS, { resolver })
+  ];
+
+  app.post('/api/admin/api-keys', adminOnly, async (req, res) => {
+    const { ownerId, name, scopes, expiresInDays } = req.body || {};
+    try {
+      const created = await apiKeyService.create({
+        ownerId, name, scopes, expiresInDays, createdBy: req.user.userId
+      });
+      res.set('Cache-Control', 'no-store');
+      return res.status(201).json(created);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+  });
+
+  app.get('/api/admin/api-keys', adminOnly, async (req, res, next) => {
+    try {
+      return res.json({ keys: await apiKeyService.list(req.query.ownerId) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post('/api/admin/api-keys/:keyId/rotate', adminOnly, async (req, res, next) => {
+    try {
+      const rotated = await apiKeyService.rotate(req.params.keyId, { rotatedBy: req.user.userId });
+      if (!rotated) {
+        return res.status(404).json({ error: 'Key not found or no longer active' });
+      }
+      res.set('Cache-Control', 'no-store');
+      return res.json(rotated);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.delete('/api/admin/api-keys/:keyId', adminOnly, async (req, res, next) => {
+    try {
+      if (!await apiKeyService.revoke(req.params.keyId, req)) {
+        return res.status(404).json({ error: 'Key not found' });
+      }
+      return res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // GOOD: Partner API - keys are checked by the usual permission guard
+  app.get('/api/partner/users',
+    apiKeyAuthMiddleware(apiKeyService),
+    secureAuthorizationCheck(PERMISSIONS.USERS_READ, { resolver }),
+    (req, res) => res.json({ users: [] })
+  );
+
+  return app;
+}
+
+module.exports = {
+  API_KEY_PREFIX,
+  API_KEY_FAILURE,
+  API_KEY_SCOPES,
+  API_KEY_LIFETIME,
+  insecureApiKeyMiddleware,
+  hashApiKeySecret,
+  parseApiKey,
+  InMemoryApiKeyRepository,
+  ApiKeyService,
+  apiKeyAuthMiddleware,
+  secureRoutes
+};
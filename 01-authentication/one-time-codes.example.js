@@ -0,0 +1,314 @@
+/**
+ * Example: One-Time Codes (Email OTP)
+ *
+ * This file demonstrates the security issues of OTP endpoints that reveal which
+ * accounts exist and codes that are guessable, reusable or stored in plaintext,
+ * and shows random, hashed, short-lived, attempt-limited, single-use codes.
+ */
+
+const crypto = require('crypto');
+const {
+  TOKEN_STORE_TYPES,
+  connectRedisClient,
+  getRedisClient
+} = require('../03-session-management/token-store.example');
+const { SecurityLogger } = require('../07-detection-and-logging/missing-security-logs.example');
+const { createFailureStore } = require('./brute-force-lockout.example');
+
+// ============================================================================
+// ❌ INSECURE: Predictable, reusable, plaintext codes
+// ============================================================================
+
+const insecureCodes = new Map();
+
+function insecureGenerateOtp(user) {
+  // BAD: Math.random() is predictable; the code never expires
+  const code = String(Math.floor(Math.random() * 1000000)).padStart(6, '0');
+
+  // BAD: Plaintext code kept in memory (or a table) - anyone who can read
+  // the store can log in as the user
+  insecureCodes.set(user.email, code);
+
+  // BAD: The code ends up in application logs
+  console.log(`OTP for ${user.email}: ${code}`);
+  return code;
+}
+
+function insecureVerifyOtp(email, code) {
+  // BAD: Unlimited attempts - 1,000,000 guesses is a short script.
+  // BAD: Code stays valid after use.
+  return insecureCodes.get(email) === code;
+}
+
+// ============================================================================
+// ✅ SECURE: Random, hashed, short-lived, attempt-limited, single use
+// ============================================================================
+
+const OTP_CONFIG = {
+  digits: 6,
+  ttlSeconds: 10 * 60, // Code valid for 10 minutes
+  maxAttempts: 5, // Wrong guesses per code before lockout
+  lockoutSeconds: 15 * 60, // No new codes or checks during lockout
+  resendCooldownSeconds: 60 // At most one new code per minute
+};
+
+const OTP_PURPOSES = {
+  LOGIN: 'login',
+  EMAIL_VERIFICATION: 'email-verification'
+};
+
+// GOOD: A 6-digit code has only 10^6 values, so a plain hash is reversible by
+// brute force. The HMAC key (kept out of the store) makes a dump useless.
+// .env:
+// OTP_HASH_KEY=<32 random bytes, base64>
+let otpHashKey = null;
+
+function getOtpHashKey() {
+  if (!otpHashKey) {
+    const key = Buffer.from(process.env.OTP_HASH_KEY || '', 'base64');
+    if (key.length < 32) {
+      throw new Error('OTP_HASH_KEY must be at least 32 bytes (base64)');
+    }
+    otpHashKey = key;
+  }
+  return otpHashKey;
+}
+
+function keyedHash(...parts) {
+  return crypto.createHmac('sha256', getOtpHashKey()).update(parts.join('\n')).digest('hex');
+}
+
+function normalizeEmail(email) {
+  return String(email).trim().toLowerCase();
+}
+
+// GOOD: CSPRNG, uniform over all codes
+function generateOtpCode(digits = OTP_CONFIG.digits) {
+  return String(crypto.randomInt(0, 10 ** digits)).padStart(digits, '0');
+}
+
+// Store ids are keyed hashes too - the email never appears in a key
+function otpRecordId(purpose, email) {
+  return keyedHash('otp', purpose, normalizeEmail(email));
+}
+
+function otpLockId(purpose, email) {
+  return keyedHash('otp-lock', purpose, normalizeEmail(email));
+}
+
+function otpAttemptsId(purpose, email) {
+  return keyedHash('otp-attempts', purpose, normalizeEmail(email));
+}
+
+// Code hash is bound to purpose and email: a login code cannot verify an email change
+function hashOtpCode(purpose, email, code) {
+  return keyedHash('otp-code', purpose, normalizeEmail(email), code);
+}
+
+// OTP stores implement:
+//
+//   save(recordId, record, ttlSeconds)
+//   get(recordId)       -> record | null
+//   consume(recordId)   -> boolean (true for exactly one caller)
+//
+// Code records are not sessions: they have no entry in the per-user session
+// index, so revoking a user's sessions neither clears a code nor a lockout.
+// Wrong guesses and lockouts are kept in a failure store (brute-force-lockout).
+
+// GOOD: In-memory store for tests and single-process development
+class InMemoryOtpStore {
+  constructor({ now = () => Date.now() } = {}) {
+    this.now = now;
+    this.records = new Map(); // recordId -> { record, expiresAt }
+  }
+
+  async save(recordId, record, ttlSeconds) {
+    this.records.set(recordId, {
+      record: { ...record },
+      expiresAt: this.now() + ttlSeconds * 1000
+    });
+  }
+
+  async get(recordId) {
+    const entry = this.records.get(recordId);
+    if (entry && entry.expiresAt <= this.now()) {
+      this.records.delete(recordId);
+      return null;
+    }
+    return entry ? { ...entry.record } : null;
+  }
+
+  async consume(recordId) {
+    const live = Boolean(await this.get(recordId));
+    this.records.delete(recordId);
+    return live;
+  }
+}
+
+// GOOD: Redis store - DEL reports whether this caller removed the key,
+// so a code is consumed at most once
+class RedisOtpStore {
+  constructor({ client = null, keyPrefix = 'otp:' } = {}) {
+    this.client = client;
+    this.keyPrefix = keyPrefix;
+  }
+
+  async getClient() {
+    return this.client ? connectRedisClient(this.client) : getRedisClient();
+  }
+
+  async save(recordId, record, ttlSeconds) {
+    const client = await this.getClient();
+    await client.set(this.keyPrefix + recordId, JSON.stringify(record), { EX: ttlSeconds });
+  }
+
+  async get(recordId) {
+    const client = await this.getClient();
+    const raw = await client.get(this.keyPrefix + recordId);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async consume(recordId) {
+    const client = await this.getClient();
+    return (await client.del(this.keyPrefix + recordId)) > 0;
+  }
+}
+
+function createOtpStore({ type = process.env.TOKEN_STORE || TOKEN_STORE_TYPES.REDIS, ...options } = {}) {
+  if (type === TOKEN_STORE_TYPES.MEMORY) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('In-memory OTP store is not allowed in production');
+    }
+    return new InMemoryOtpStore(options);
+  }
+  return new RedisOtpStore(options);
+}
+
+class OtpService {
+  constructor({
+    findUserByEmail,
+    sendCode,
+    config = OTP_CONFIG,
+    store = null,
+    failureStore = null,
+    now = () => Date.now()
+  }) {
+    if (!findUserByEmail || !sendCode) {
+      throw new Error('OtpService requires findUserByEmail and sendCode');
+    }
+    this.findUserByEmail = findUserByEmail;
+    this.sendCode = sendCode;
+    this.config = config;
+    this.store = store || createOtpStore({ now });
+    this.failureStore = failureStore || createFailureStore({ now });
+    this.now = now;
+  }
+
+  async isLocked(purpose, email) {
+    return (await this.failureStore.blockedFor(otpLockId(purpose, email))) > 0;
+  }
+
+  async lock(purpose, email, userId, req) {
+    await this.failureStore.block(otpLockId(purpose, email), this.config.lockoutSeconds);
+    await this.failureStore.clear([otpAttemptsId(purpose, email)]);
+    await this.store.consume(otpRecordId(purpose, email));
+
+    SecurityLogger.logSuspiciousActivity(req, 'OTP_LOCKOUT', { userId, purpose });
+  }
+
+  // GOOD: Always resolves the same way - callers respond identically
+  // whether the email exists, is locked or is in its resend cooldown.
+  async issue(email, purpose = OTP_PURPOSES.LOGIN, req = {}) {
+    const code = generateOtpCode(this.config.digits);
+    const codeHash = hashOtpCode(purpose, email, code);
+
+    // GOOD: The lock and record lookups run for unknown emails too - their
+    // ids come from the email, not the user - so response time does not
+    // reveal whether the account exists
+    const user = await this.findUserByEmail(normalizeEmail(email));
+    const locked = await this.isLocked(purpose, email);
+    const existing = await this.store.get(otpRecordId(purpose, email));
+
+    if (!user || locked) {
+      return; // Same work done above; nothing stored, nothing sent
+    }
+    if (existing && this.now() - existing.issuedAt < this.config.resendCooldownSeconds * 1000) {
+      return;
+    }
+
+    // GOOD: One live code per email and purpose; a new code replaces the old.
+    // Attempts are counted per email and purpose, not per code, so
+    // re-requesting does not reset the guess budget.
+    await this.store.save(otpRecordId(purpose, email), {
+      userId: user.id,
+      codeHash: codeHash,
+      issuedAt: this.now()
+    }, this.config.ttlSeconds);
+
+    // GOOD: Delivery is not awaited - email latency must not reveal
+    // that the account exists. The code is never logged.
+    Promise.resolve()
+      .then(() => this.sendCode(user, code, purpose))
+      .catch(error => console.error('OTP delivery failed for user', user.id, error.message));
+  }
+
+  // Returns { ok: true, userId } or { ok: false }
+  async verify(email, code, purpose = OTP_PURPOSES.LOGIN, req = {}) {
+    if (typeof code !== 'string' || !new RegExp(`^\\d{${this.config.digits}}$`).test(code)) {
+      return { ok: false };
+    }
+
+    const recordId = otpRecordId(purpose, email);
+    if (await this.isLocked(purpose, email)) {
+      return { ok: false };
+    }
+
+    const record = await this.store.get(recordId);
+    if (!record) {
+      return { ok: false };
+    }
+
+    // GOOD: The attempt is counted before the code is compared, with an atomic
+    // increment - parallel guesses each take their own slot, so no burst of
+    // requests gets more than maxAttempts comparisons
+    const attemptsId = otpAttemptsId(purpose, email);
+    const attempts = await this.failureStore.increment(attemptsId, this.config.ttlSeconds);
+    if (attempts > this.config.maxAttempts) {
+      await this.lock(purpose, email, record.userId, req);
+      return { ok: false };
+    }
+
+    const expected = Buffer.from(record.codeHash, 'hex');
+    const actual = Buffer.from(hashOtpCode(purpose, email, code), 'hex');
+
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      if (attempts >= this.config.maxAttempts) {
+        await this.lock(purpose, email, record.userId, req);
+      }
+      return { ok: false };
+    }
+
+    // GOOD: Single use - consume() reports whether we were the one to remove it,
+    // so two concurrent requests with the same code cannot both succeed
+    const consumed = await this.store.consume(recordId);
+    if (!consumed) {
+      return { ok: false };
+    }
+    await this.failureStore.clear([attemptsId]);
+
+    return { ok: true, userId: record.userId };
+  }
+}
+
+module.exports = {
+  OTP_CONFIG,
+  OTP_PURPOSES,
+  insecureGenerateOtp,
+  insecureVerifyOtp,
+  generateOtpCode,
+  hashOtpCode,
+  InMemoryOtpStore,
+  RedisOtpStore,
+  createOtpStore,
+  OtpService
+};
@@ -0,0 +1,307 @@
+/**
+ * Example: Password Credential Verification
+ *
+ * This file demonstrates the security issue of issuing tokens without checking
+ * any credential (or with fast, unsalted hashes) and shows how to verify passwords
+ * with memory-hard hashing, upgrade parameters on login and equalize timing.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const argon2 = require('argon2');
+const { SecurityLogger } = require('../07-detection-and-logging/missing-security-logs.example');
+const {
+  FAILURE_KINDS,
+  getDefaultAuthFailureTracker,
+  sendLockedResponse
+} = require('./brute-force-lockout.example');
+
+const scrypt = promisify(crypto.scrypt);
+
+// ============================================================================
+// ❌ INSECURE: No credential check / fast hashes
+// ============================================================================
+
+function insecureLoginRoute(issueToken) {
+  return (req, res) => {
+    // BAD: Whatever userId the client sends gets a token
+    const { userId } = req.body;
+    return res.json({ token: issueToken({ id: userId }) });
+  };
+}
+
+async function insecureVerifyPassword(userRepository, login, password) {
+  const user = await userRepository.findByLogin(login);
+  if (!user) {
+    // BAD: Returns immediately - response time reveals which logins exist
+    return null;
+  }
+
+  // BAD: Fast, unsalted hash - billions of guesses per second on a GPU
+  const hash = crypto.createHash('sha256').update(password).digest('hex');
+
+  // BAD: `===` leaks how many characters matched through timing
+  return hash === user.passwordHash ? user : null;
+}
+
+// ============================================================================
+// ✅ SECURE: argon2id (scrypt fallback), rehash on login, equal timing
+// ============================================================================
+
+const PASSWORD_ALGORITHMS = {
+  ARGON2ID: 'argon2id',
+  SCRYPT: 'scrypt'
+};
+
+// GOOD: OWASP minimums - raise them as hardware allows; existing hashes
+// are upgraded the next time each user logs in
+const DEFAULT_PASSWORD_HASH_PARAMS = {
+  algorithm: PASSWORD_ALGORITHMS.ARGON2ID,
+  argon2id: {
+    memoryCost: 19456, // KiB (19 MiB)
+    timeCost: 2,
+    parallelism: 1
+  },
+  scrypt: {
+    logN: 17, // N = 2^17
+    r: 8,
+    p: 1,
+    keyLength: 64
+  }
+};
+
+// GOOD: Bounded input - hashing a 10 MB "password" is a DoS, not a login
+const MAX_PASSWORD_LENGTH = 1024;
+
+const CREDENTIAL_FAILURE = {
+  INVALID_CREDENTIALS: 'INVALID_CREDENTIALS',
+  INVALID_INPUT: 'INVALID_INPUT'
+};
+
+function normalizePassword(password) {
+  if (typeof password !== 'string' || password.length === 0 ||
+      password.length > MAX_PASSWORD_LENGTH) {
+    return null;
+  }
+  // GOOD: Same characters typed on different keyboards hash the same
+  return password.normalize('NFKC');
+}
+
+function scryptOptions({ logN, r, p }) {
+  const N = 2 ** logN;
+  // Node refuses N * r * 128 above 32 MiB by default
+  return { N, r, p, maxmem: 256 * N * r };
+}
+
+// Encoded as $scrypt$ln=17,r=8,p=1$<salt>$<hash> (base64, no padding)
+async function hashWithScrypt(password, params) {
+  const salt = crypto.randomBytes(16);
+  const derived = await scrypt(password, salt, params.keyLength, scryptOptions(params));
+  return `$scrypt$ln=${params.logN},r=${params.r},p=${params.p}` +
+    `$${salt.toString('base64url')}$${derived.toString('base64url')}`;
+}
+
+function parseScryptHash(stored) {
+  const match = /^\$scrypt\$ln=(\d+),r=(\d+),p=(\d+)\$([\w-]+)\$([\w-]+)$/.exec(stored);
+  if (!match) {
+    return null;
+  }
+  return {
+    logN: Number(match[1]),
+    r: Number(match[2]),
+    p: Number(match[3]),
+    salt: Buffer.from(match[4], 'base64url'),
+    hash: Buffer.from(match[5], 'base64url')
+  };
+}
+
+async function hashPassword(password, params = DEFAULT_PASSWORD_HASH_PARAMS) {
+  const normalized = normalizePassword(password);
+  if (normalized === null) {
+    throw new Error(`Password must be 1-${MAX_PASSWORD_LENGTH} characters`);
+  }
+
+  if (params.algorithm === PASSWORD_ALGORITHMS.SCRYPT) {
+    return hashWithScrypt(normalized, params.scrypt);
+  }
+  // GOOD: argon2 generates a random salt and encodes all parameters
+  return argon2.hash(normalized, { type: argon2.argon2id, ...params.argon2id });
+}
+
+// GOOD: Constant-time comparison; unknown formats never verify
+async function verifyPassword(stored, password) {
+  const normalized = normalizePassword(password);
+  if (normalized === null || typeof stored !== 'string') {
+    return false;
+  }
+
+  if (stored.startsWith('$argon2id$')) {
+    try {
+      return await argon2.verify(stored, normalized);
+    } catch (error) {
+      return false; // Corrupt hash
+    }
+  }
+
+  const parsed = parseScryptHash(stored);
+  if (parsed) {
+    const derived = await scrypt(normalized, parsed.salt, parsed.hash.length, scryptOptions(parsed));
+    return crypto.timingSafeEqual(derived, parsed.hash);
+  }
+
+  return false;
+}
+
+// GOOD: Weaker algorithm or parameters than today's policy -> rehash
+function needsRehash(stored, params = DEFAULT_PASSWORD_HASH_PARAMS) {
+  if (params.algorithm === PASSWORD_ALGORITHMS.ARGON2ID) {
+    return !stored.startsWith('$argon2id$') || argon2.needsRehash(stored, params.argon2id);
+  }
+
+  const parsed = parseScryptHash(stored);
+  return !parsed ||
+    parsed.logN < params.scrypt.logN ||
+    parsed.r < params.scrypt.r ||
+    parsed.p < params.scrypt.p ||
+    parsed.hash.length < params.scrypt.keyLength;
+}
+
+// GOOD: Minimal user store contract, so the verifier works with any database:
+//   findByLogin(login)                     -> { id, passwordHash, ... } | null
+//   updatePasswordHash(userId, passwordHash)
+class InMemoryUserRepository {
+  constructor(users = []) {
+    this.users = new Map(users.map(user => [user.login.toLowerCase(), { ...user }]));
+  }
+
+  async findByLogin(login) {
+    const user = this.users.get(String(login).toLowerCase());
+    return user ? { ...user } : null;
+  }
+
+  async updatePasswordHash(userId, passwordHash) {
+    for (const user of this.users.values()) {
+      if (user.id === userId) {
+        user.passwordHash = passwordHash;
+      }
+    }
+  }
+}
+
+class CredentialVerifier {
+  constructor({ userRepository, params = DEFAULT_PASSWORD_HASH_PARAMS } = {}) {
+    if (!userRepository) {
+      throw new Error('CredentialVerifier requires a user repository');
+    }
+    this.userRepository = userRepository;
+    this.params = params;
+    this.dummyHash = null;
+    this.getDummyHash(); // Computed up front so the first unknown login is not slower
+  }
+
+  // GOOD: Hash of a random password with the current parameters.
+  // Unknown logins are checked against it so they take as long as real ones.
+  getDummyHash() {
+    if (!this.dummyHash) {
+      const dummyHash = hashPassword(crypto.randomBytes(32).toString('base64url'), this.params);
+      this.dummyHash = dummyHash;
+      // GOOD: A failed hash is not cached - the next unknown login retries -
+      // and the up-front call in the constructor never leaves an unhandled rejection
+      dummyHash.catch(() => {
+        if (this.dummyHash === dummyHash) {
+          this.dummyHash = null;
+        }
+      });
+    }
+    return this.dummyHash;
+  }
+
+  // Returns { ok: true, user } or { ok: false, reason } (see CREDENTIAL_FAILURE).
+  // Unknown login and wrong password return the same reason.
+  async verify(login, password) {
+    if (typeof login !== 'string' || login.length === 0 || normalizePassword(password) === null) {
+      return { ok: false, reason: CREDENTIAL_FAILURE.INVALID_INPUT };
+    }
+
+    const user = await this.userRepository.findByLogin(login);
+
+    // GOOD: Same amount of work whether or not the user exists
+    // (or has no password, e.g. SSO-only accounts)
+    const stored = user && user.passwordHash ? user.passwordHash : await this.getDummyHash();
+    const passwordMatches = await verifyPassword(stored, password);
+
+    if (!user || !user.passwordHash || !passwordMatches) {
+      return { ok: false, reason: CREDENTIAL_FAILURE.INVALID_CREDENTIALS };
+    }
+
+    // GOOD: Upgrade old hashes while we have the plaintext
+    if (needsRehash(user.passwordHash, this.params)) {
+      try {
+        await this.userRepository.updatePasswordHash(user.id, await hashPassword(password, this.params));
+      } catch (error) {
+        console.error('Password rehash failed for user', user.id, error.message);
+      }
+    }
+
+    const { passwordHash, ...safeUser } = user;
+    return { ok: true, user: safeUser };
+  }
+}
+
+// ============================================================================
+// Express Route Example
+// ============================================================================
+
+// ✅ SECURE Login route: token issuer runs only after the credential check.
+// `issueToken(user)` returns whatever the app hands out (token, token pair...)
+function secureLoginRoute(credentialVerifier, issueToken, failureTracker = getDefaultAuthFailureTracker()) {
+  return async (req, res) => {
+    const { username, password } = req.body || {};
+    const attempt = { account: typeof username === 'string' ? username : null, ip: req.ip };
+
+    // GOOD: Locked out or backing off - refuse before spending a hash
+    const decision = await failureTracker.check(attempt);
+    if (!decision.allowed) {
+      SecurityLogger.logAuthFailure(req, 'LOCKED_OUT');
+      return sendLockedResponse(res, decision);
+    }
+
+    const result = await credentialVerifier.verify(username, password);
+    if (!result.ok) {
+      SecurityLogger.logAuthFailure(req, result.reason);
+      await failureTracker.recordFailure({ ...attempt, kind: FAILURE_KINDS.LOGIN }, req);
+      // GOOD: One message for unknown user and wrong password
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    await failureTracker.recordSuccess(attempt);
+    SecurityLogger.logAuthSuccess(req, result.user.id);
+    return res.json(await issueToken(result.user));
+  };
+}
+
+function secureRoutes(credentialVerifier, issueToken, failureTracker) {
+  const app = express();
+  app.use(express.json({ limit: '10kb' }));
+
+  app.post('/api/login', secureLoginRoute(credentialVerifier, issueToken, failureTracker));
+
+  return app;
+}
+
+module.exports = {
+  PASSWORD_ALGORITHMS,
+  DEFAULT_PASSWORD_HASH_PARAMS,
+  MAX_PASSWORD_LENGTH,
+  CREDENTIAL_FAILURE,
+  insecureLoginRoute,
+  insecureVerifyPassword,
+  hashPassword,
+  verifyPassword,
+  needsRehash,
+  InMemoryUserRepository,
+  CredentialVerifier,
+  secureLoginRoute,
+  secureRoutes
+};
@@ -0,0 +1,167 @@
+/**
+ * Example: Per-User Session Epoch ("Log Out Everywhere")
+ *
+ * This file demonstrates the security issue of logout only revoking the one token
+ * presented, and shows how a server-side per-user epoch embedded in every token
+ * lets us invalidate all of a user's sessions at once.
+ */
+
+const express = require('express');
+const { SecurityLogger } = require('../07-detection-and-logging/missing-security-logs.example');
+const { getRedisClient } = require('../03-session-management/token-store.example');
+const { revokeAllUserSessions } = require('../03-session-management/session-keying.example');
+const { getDefaultSessionStoreGuard } = require('../03-session-management/session-store-outage-policy.example');
+
+// ============================================================================
+// ❌ INSECURE: Logout only kills the current token
+// ============================================================================
+
+async function insecureLogoutEverywhere(token) {
+  // BAD: Only the token presented is revoked.
+  // Sessions on the attacker's device keep working until they expire.
+  const redisClient = await getRedisClient();
+  await redisClient.del(`token:${token}`);
+  return { message: 'Logged out' };
+}
+
+async function insecureChangePassword(userId, newPasswordHash) {
+  // BAD: Password changes, but every existing token stays valid -
+  // the attacker who stole the old password is still logged in
+  // await User.update({ passwordHash: newPasswordHash }, { where: { id: userId } });
+  return { message: 'Password changed' };
+}
+
+// ============================================================================
+// ✅ SECURE: Per-user epoch stored server-side and embedded in tokens
+// ============================================================================
+
+// GOOD: Why an epoch was bumped - recorded in the security log
+const EPOCH_BUMP_REASONS = {
+  PASSWORD_CHANGE: 'PASSWORD_CHANGE',
+  ROLE_CHANGE: 'ROLE_CHANGE',
+  ADMIN_REQUEST: 'ADMIN_REQUEST',
+  USER_REQUEST: 'USER_REQUEST'
+};
+
+function epochKey(userId) {
+  return `user-epoch:${userId}`;
+}
+
+// GOOD: Epoch reads sit on the request path - same breaker and timeout as
+// session lookups, so a hung Redis surfaces as an error, not a hung request
+async function withRedis(operation) {
+  return getDefaultSessionStoreGuard().run(
+    async () => operation(await getRedisClient())
+  );
+}
+
+// GOOD: Current epoch for a user (0 until the first bump)
+async function getUserEpoch(userId) {
+  const value = await withRedis(client => client.get(epochKey(userId)));
+  return value ? parseInt(value, 10) : 0;
+}
+
+// GOOD: Claim to embed in every token issued for this user
+async function getEpochClaim(userId) {
+  return { epoch: await getUserEpoch(userId) };
+}
+
+// GOOD: Token is only valid if it was issued in the user's current epoch
+async function isTokenEpochCurrent(claims) {
+  if (typeof claims.epoch !== 'number') {
+    return false; // Tokens without an epoch cannot be revoked - reject them
+  }
+
+  return claims.epoch === await getUserEpoch(claims.userId);
+}
+
+// GOOD: The epoch rule for verifiers that also require a live session
+// record (secureVerifyToken, introspection). Tokens from the shared issuer
+// carry no epoch - bumpUserEpoch revokes their sessions, so the session
+// lookup already covers them. A token that carries an epoch must match.
+// One rule, so every verifier gives the same answer for the same token.
+async function isSessionTokenEpochCurrent(claims) {
+  if (claims.epoch === undefined) {
+    return true;
+  }
+  return isTokenEpochCurrent(claims);
+}
+
+// GOOD: One atomic increment invalidates every outstanding token for the user.
+// No need to find or enumerate the tokens themselves.
+// Not every verifier checks the epoch (sessionAuthMiddleware, tokens from the
+// shared issuer), so the user's session records are revoked as well.
+async function bumpUserEpoch(userId, reason, req = {}) {
+  if (!EPOCH_BUMP_REASONS[reason]) {
+    throw new Error(`Unknown epoch bump reason: ${reason}`);
+  }
+
+  const epoch = await withRedis(client => client.incr(epochKey(userId)));
+  const sessionsRevoked = await revokeAllUserSessions(userId);
+
+  SecurityLogger.logSessionsRevoked(req, {
+    targetUserId: userId,
+    reason: reason,
+    epoch: epoch,
+    sessionsRevoked: sessionsRevoked
+  });
+
+  return epoch;
+}
+
+// GOOD: Security-relevant account changes always bump the epoch
+async function secureChangePassword(userId, newPasswordHash, req) {
+  // await User.update({ passwordHash: newPasswordHash }, { where: { id: userId } });
+  await bumpUserEpoch(userId, EPOCH_BUMP_REASONS.PASSWORD_CHANGE, req);
+  return { message: 'Password changed; all sessions have been signed out' };
+}
+
+async function secureChangeRole(userId, newRole, req) {
+  // await User.update({ role: newRole }, { where: { id: userId } });
+  await bumpUserEpoch(userId, EPOCH_BUMP_REASONS.ROLE_CHANGE, req);
+  return { message: 'Role changed; user must sign in again' };
+}
+
+// ============================================================================
+// Express Route Examples
+// ============================================================================
+
+// ✅ SECURE Routes
+// `authMiddleware` must reject tokens whose epoch is stale
+// (see secureVerifyToken in token-invalidation.example.js)
+function secureRoutes(authMiddleware, requireAdmin) {
+  const app = express();
+  app.use(express.json());
+
+  // GOOD: User can sign out every device, including the current one
+  app.post('/api/auth/logout-all', authMiddleware, async (req, res) => {
+    await bumpUserEpoch(req.user.userId, EPOCH_BUMP_REASONS.USER_REQUEST, req);
+    return res.json({ message: 'Logged out on all devices' });
+  });
+
+  // GOOD: Admin can kill all sessions of a compromised account
+  app.post('/api/admin/users/:id/revoke-sessions',
+    authMiddleware,
+    requireAdmin,
+    async (req, res) => {
+      await bumpUserEpoch(req.params.id, EPOCH_BUMP_REASONS.ADMIN_REQUEST, req);
+      return res.json({ message: 'All sessions revoked' });
+    }
+  );
+
+  return app;
+}
+
+module.exports = {
+  EPOCH_BUMP_REASONS,
+  insecureLogoutEverywhere,
+  insecureChangePassword,
+  getUserEpoch,
+  getEpochClaim,
+  isTokenEpochCurrent,
+  isSessionTokenEpochCurrent,
+  bumpUserEpoch,
+  secureChangePassword,
+  secureChangeRole,
+  secureRoutes
+};
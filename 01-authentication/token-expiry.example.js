@@ -6,6 +6,11 @@
  */
 
 const jwt = require('jsonwebtoken');
+const {
+  TOKEN_FAILURE,
+  signToken,
+  verifyToken
+} = require('./hardened-token-verification.example');
 
 // ============================================================================
 // ❌ INSECURE: Token without expiry
@@ -36,28 +41,22 @@ function insecureVerifyToken(token) {
 // ============================================================================
 
 function secureGenerateToken(userId) {
-  // GOOD: Token expires after 1 hour
-  const token = jwt.sign(
+  // GOOD: Token expires after 1 hour (issued with iss, aud, iat and jti)
+  const token = signToken(
     { userId: userId },
-    process.env.JWT_SECRET,
     { expiresIn: '1h' } // Token expires in 1 hour
   );
   return token;
 }
 
 function secureVerifyToken(token) {
-  try {
-    // GOOD: jwt.verify automatically checks expiry
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    // If token is expired, jwt.verify throws an error
-    return decoded;
-  } catch (error) {
-    if (error.name === 'TokenExpiredError') {
-      console.log('Token has expired');
-      return null;
-    }
-    return null;
+  // GOOD: Shared verifier checks expiry, max age and required claims.
+  // If token is expired, the result carries TOKEN_FAILURE.EXPIRED
+  const result = verifyToken(token);
+  if (!result.ok && result.reason === TOKEN_FAILURE.EXPIRED) {
+    console.log('Token has expired');
   }
+  return result;
 }
 
 // ============================================================================
@@ -87,12 +86,12 @@ function secureAuthMiddleware(req, res, next) {
     return res.status(401).json({ error: 'No token provided' });
   }
   
-  const decoded = secureVerifyToken(token);
-  if (!decoded) {
+  const result = secureVerifyToken(token);
+  if (!result.ok) {
     return res.status(401).json({ error: 'Invalid or expired token' });
   }
   
-  req.user = decoded;
+  req.user = result.claims;
   next();
 }
 
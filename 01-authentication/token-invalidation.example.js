@@ -6,7 +6,28 @@
  */
 
 const jwt = require('jsonwebtoken');
-const redis = require('redis');
+const {
+  TOKEN_FAILURE,
+  signToken,
+  verifyToken
+} = require('./hardened-token-verification.example');
+const {
+  EPOCH_BUMP_REASONS,
+  getEpochClaim,
+  isSessionTokenEpochCurrent,
+  bumpUserEpoch
+} = require('./session-epoch.example');
+const {
+  SESSION_STATUS,
+  registerSessionForToken,
+  revokeSession,
+  listUserSessions
+} = require('../03-session-management/session-keying.example');
+const { lookupSession } = require('../03-session-management/session-store-outage-policy.example');
+const {
+  getSessionLifetime,
+  enforceSessionActivity
+} = require('../03-session-management/idle-session-timeout.example');
 
 // ============================================================================
 // ❌ INSECURE: Logout doesn't invalidate tokens
@@ -44,52 +65,83 @@ function insecureVerifyToken(token) {
 // ✅ SECURE: Token tracked and invalidated on logout
 // ============================================================================
 
-// Initialize Redis client
-const redisClient = redis.createClient({
-  host: process.env.REDIS_HOST,
-  port: process.env.REDIS_PORT
-});
-
+// `userId` must come from a verified credential
+// (see CredentialVerifier in password-credentials.example.js)
 async function secureLogin(userId) {
   // GOOD: Token is issued AND stored in Redis
-  const token = jwt.sign(
-    { userId: userId },
-    process.env.JWT_SECRET,
-    { expiresIn: '24h' }
+  // GOOD: Token carries the user's current session epoch
+  const token = signToken(
+    { userId: userId, ...(await getEpochClaim(userId)) },
+    { expiresIn: getSessionLifetime().absoluteLifetimeSeconds }
   );
   
-  // Store token in Redis with same expiry as JWT
-  await redisClient.setex(`token:${token}`, 86400, 'valid'); // 24 hours
+  // Store the session in Redis (TTL = idle timeout, capped by exp),
+  // keyed by SHA-256(jti) and indexed under the user
+  await registerSessionForToken(token);
   
   return token;
 }
 
 async function secureLogout(token) {
-  // GOOD: Token is marked as invalid in Redis
-  await redisClient.del(`token:${token}`);
+  // GOOD: Session is removed from Redis
+  const result = verifyToken(token);
+  if (result.ok) {
+    await revokeSession(result.claims);
+  }
   return { message: 'Logged out successfully' };
 }
 
-async function secureVerifyToken(token) {
+async function secureLogoutEverywhere(userId, req) {
+  // GOOD: Bumping the epoch invalidates every token issued to this user,
+  // on every device, without having to find them (and revokes their sessions)
+  await bumpUserEpoch(userId, EPOCH_BUMP_REASONS.USER_REQUEST, req);
+  return { message: 'Logged out on all devices' };
+}
+
+async function secureListSessions(userId) {
+  // GOOD: Per-user index - no scanning Redis, no tokens in the response
+  return listUserSessions(userId);
+}
+
+async function secureVerifyToken(token, { routeGroup, req } = {}) {
+  // GOOD: First verify JWT signature, expiry and claims
+  const result = verifyToken(token);
+  if (!result.ok) {
+    return result;
+  }
+  
+  // GOOD: Then check if the session is still valid in Redis.
+  // A store outage is reported as STORE_UNAVAILABLE, never as "logged out".
+  const lookup = await lookupSession(result.claims.jti, { routeGroup, req });
+  if (!lookup.ok) {
+    return lookup;
+  }
+  if (!lookup.session || lookup.session.status !== SESSION_STATUS.ACTIVE) {
+    // Token doesn't exist, was logged out, or its session is still
+    // waiting on MFA - only ACTIVE sessions authenticate
+    return { ok: false, reason: TOKEN_FAILURE.REVOKED };
+  }
+  
+  // GOOD: Reject tokens issued before the last "log out everywhere",
+  // password change or role change. No epoch answer means fail closed.
+  let epochCurrent;
   try {
-    // GOOD: First verify JWT signature and expiry
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // GOOD: Then check if token is still valid in Redis
-    const tokenStatus = await redisClient.get(`token:${token}`);
-    if (!tokenStatus) {
-      // Token was logged out or doesn't exist
-      return null;
-    }
-    
-    return decoded;
+    epochCurrent = await isSessionTokenEpochCurrent(result.claims);
   } catch (error) {
-    if (error.name === 'TokenExpiredError') {
-      // Also remove expired tokens from Redis
-      await redisClient.del(`token:${token}`);
-    }
-    return null;
+    return { ok: false, reason: TOKEN_FAILURE.STORE_UNAVAILABLE, detail: 'epoch' };
+  }
+  if (!epochCurrent) {
+    return { ok: false, reason: TOKEN_FAILURE.REVOKED, detail: 'epoch' };
   }
+  
+  // GOOD: Reject sessions idle for too long or past their absolute
+  // lifetime; otherwise slide the idle window
+  const activity = await enforceSessionActivity(lookup.session, { degraded: lookup.degraded, req });
+  if (!activity.ok) {
+    return activity;
+  }
+  
+  return result;
 }
 
 // ============================================================================
@@ -119,12 +171,16 @@ async function secureAuthMiddleware(req, res, next) {
     return res.status(401).json({ error: 'No token provided' });
   }
   
-  const decoded = await secureVerifyToken(token);
-  if (!decoded) {
+  const result = await secureVerifyToken(token, { req });
+  if (!result.ok) {
+    if (result.reason === TOKEN_FAILURE.STORE_UNAVAILABLE) {
+      // GOOD: Session store outage is reported as such, not as a bad token
+      return res.status(503).json({ error: 'Authentication temporarily unavailable' });
+    }
     return res.status(401).json({ error: 'Invalid, expired, or logged-out token' });
   }
   
-  req.user = decoded;
+  req.user = result.claims;
   next();
 }
 
@@ -134,6 +190,8 @@ module.exports = {
   insecureVerifyToken,
   secureLogin,
   secureLogout,
+  secureLogoutEverywhere,
+  secureListSessions,
   secureVerifyToken,
   insecureAuthMiddleware,
   secureAuthMiddleware
@@ -0,0 +1,596 @@
+/**
+ * Example: TOTP Two-Factor Authentication and Step-Up
+ *
+ * This file demonstrates the security issue of a 2FA flag that nothing enforces
+ * and shows TOTP (RFC 6238) enrollment, a second login step, hashed recovery
+ * codes, `amr`/`acr` claims and a step-up guard for sensitive routes.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const { SecurityLogger } = require('../07-detection-and-logging/missing-security-logs.example');
+const { getDefaultTokenStore } = require('../03-session-management/token-store.example');
+const {
+  FAILURE_KINDS,
+  getDefaultAuthFailureTracker,
+  sendLockedResponse
+} = require('./brute-force-lockout.example');
+const {
+  SESSION_STATUS,
+  hashSessionId,
+  markSessionLoggedOut
+} = require('../03-session-management/session-keying.example');
+
+// ============================================================================
+// ❌ INSECURE: 2FA as a flag nobody checks
+// ============================================================================
+
+async function insecureLogin(credentialVerifier, issueToken, username, password) {
+  const result = await credentialVerifier.verify(username, password);
+  if (!result.ok) {
+    return null;
+  }
+
+  // BAD: user.is2FAEnabled is true, but the token is issued anyway.
+  // A phished password is all an attacker needs.
+  return issueToken(result.user);
+}
+
+function insecureDeleteUser(req, res) {
+  // BAD: Irreversible action allowed on a token from a password-only
+  // login several hours ago
+  return res.json({ message: `User ${req.params.id} deleted` });
+}
+
+// ============================================================================
+// ✅ SECURE: TOTP (RFC 6238 over RFC 4226 HOTP)
+// ============================================================================
+
+const TOTP_CONFIG = {
+  algorithm: 'SHA1', // What authenticator apps support universally
+  digits: 6,
+  periodSeconds: 30,
+  window: 1, // Accept one step either side for clock drift
+  secretBytes: 20 // 160 bits, as recommended by RFC 4226
+};
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const output = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      output.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(output);
+}
+
+function generateHotp(secret, counter, digits = TOTP_CONFIG.digits) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac(TOTP_CONFIG.algorithm, secret).update(counterBuffer).digest();
+
+  // Dynamic truncation (RFC 4226 section 5.3)
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+function totpStep(nowMs = Date.now()) {
+  return Math.floor(nowMs / 1000 / TOTP_CONFIG.periodSeconds);
+}
+
+// GOOD: Constant-time compare, drift window, and no reuse of a step
+// that already logged in (replay protection)
+function verifyTotp(secret, code, { nowMs = Date.now(), lastUsedStep = -1 } = {}) {
+  if (typeof code !== 'string' || !/^\d+$/.test(code) || code.length !== TOTP_CONFIG.digits) {
+    return { ok: false };
+  }
+
+  const current = totpStep(nowMs);
+  for (let step = current - TOTP_CONFIG.window; step <= current + TOTP_CONFIG.window; step++) {
+    const expected = generateHotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      if (step <= lastUsedStep) {
+        return { ok: false, replay: true };
+      }
+      return { ok: true, step: step };
+    }
+  }
+
+  return { ok: false };
+}
+
+// GOOD: otpauth:// URI for the QR code the client renders during enrollment
+function buildOtpauthUri({ secret, accountName, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret: secret,
+    issuer: issuer,
+    algorithm: TOTP_CONFIG.algorithm,
+    digits: String(TOTP_CONFIG.digits),
+    period: String(TOTP_CONFIG.periodSeconds)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+// GOOD: TOTP secrets are encrypted at rest - a database dump alone
+// must not let anyone generate codes
+// .env:
+// TOTP_ENCRYPTION_KEY=<32 random bytes, base64>
+let totpEncryptionKey = null;
+
+function getTotpEncryptionKey() {
+  if (!totpEncryptionKey) {
+    const key = Buffer.from(process.env.TOTP_ENCRYPTION_KEY || '', 'base64');
+    if (key.length !== 32) {
+      throw new Error('TOTP_ENCRYPTION_KEY must be 32 bytes (base64)');
+    }
+    totpEncryptionKey = key;
+  }
+  return totpEncryptionKey;
+}
+
+function encryptTotpSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getTotpEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+}
+
+function decryptTotpSecret(encrypted) {
+  const [iv, tag, ciphertext] = encrypted.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getTotpEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+// ============================================================================
+// Recovery codes
+// ============================================================================
+
+const RECOVERY_CODE_COUNT = 10;
+
+function normalizeRecoveryCode(code) {
+  return String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// GOOD: Codes have 80 bits of entropy, so a plain SHA-256 is enough -
+// unlike passwords they cannot be guessed from a dictionary
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+// Shown to the user exactly once; only the hashes are stored
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = base32Encode(crypto.randomBytes(10)); // 16 characters
+    return raw.match(/.{4}/g).join('-');
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+// ============================================================================
+// Two-factor state per user
+// ============================================================================
+
+// Repository contract:
+//   get(userId)          -> { enabled, secret, pendingSecret, lastUsedStep, recoveryCodeHashes } | null
+//   save(userId, record)
+class InMemoryTwoFactorRepository {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async get(userId) {
+    const record = this.records.get(String(userId));
+    return record ? { ...record, recoveryCodeHashes: [...record.recoveryCodeHashes] } : null;
+  }
+
+  async save(userId, record) {
+    this.records.set(String(userId), { ...record });
+  }
+}
+
+class TwoFactorService {
+  constructor({ repository, issuer = process.env.TOTP_ISSUER || 'Security-Guide', now = () => Date.now() }) {
+    if (!repository) {
+      throw new Error('TwoFactorService requires a repository');
+    }
+    this.repository = repository;
+    this.issuer = issuer;
+    this.now = now;
+  }
+
+  async isEnabled(userId) {
+    const record = await this.repository.get(userId);
+    return Boolean(record && record.enabled);
+  }
+
+  // GOOD: Enrollment is pending until the user proves the app works
+  async beginEnrollment(user) {
+    const secret = crypto.randomBytes(TOTP_CONFIG.secretBytes);
+    const existing = (await this.repository.get(user.id)) || {
+      enabled: false,
+      secret: null,
+      lastUsedStep: -1,
+      recoveryCodeHashes: []
+    };
+
+    await this.repository.save(user.id, {
+      ...existing,
+      pendingSecret: encryptTotpSecret(secret)
+    });
+
+    const base32Secret = base32Encode(secret);
+    return {
+      otpauthUri: buildOtpauthUri({
+        secret: base32Secret,
+        accountName: user.login || String(user.id),
+        issuer: this.issuer
+      }),
+      secret: base32Secret // For manual entry when the QR code cannot be scanned
+    };
+  }
+
+  async confirmEnrollment(userId, code) {
+    const record = await this.repository.get(userId);
+    if (!record || !record.pendingSecret) {
+      return { ok: false };
+    }
+
+    const check = verifyTotp(decryptTotpSecret(record.pendingSecret), code, { nowMs: this.now() });
+    if (!check.ok) {
+      return { ok: false };
+    }
+
+    const recovery = generateRecoveryCodes();
+    await this.repository.save(userId, {
+      enabled: true,
+      secret: record.pendingSecret,
+      pendingSecret: null,
+      lastUsedStep: check.step,
+      recoveryCodeHashes: recovery.hashes
+    });
+
+    return { ok: true, recoveryCodes: recovery.codes };
+  }
+
+  // Returns { ok: true, methods } or { ok: false }
+  async verify(userId, { code, recoveryCode } = {}) {
+    const record = await this.repository.get(userId);
+    if (!record || !record.enabled) {
+      return { ok: false };
+    }
+
+    if (code) {
+      const check = verifyTotp(decryptTotpSecret(record.secret), code, {
+        nowMs: this.now(),
+        lastUsedStep: record.lastUsedStep
+      });
+      if (!check.ok) {
+        return { ok: false };
+      }
+
+      await this.repository.save(userId, { ...record, lastUsedStep: check.step });
+      return { ok: true, methods: [AUTH_METHODS.OTP] };
+    }
+
+    if (recoveryCode) {
+      const hash = hashRecoveryCode(recoveryCode);
+      const remaining = record.recoveryCodeHashes.filter(stored => stored !== hash);
+      if (remaining.length === record.recoveryCodeHashes.length) {
+        return { ok: false };
+      }
+
+      // GOOD: Each recovery code works exactly once - it is a one-time password
+      await this.repository.save(userId, { ...record, recoveryCodeHashes: remaining });
+      return { ok: true, methods: [AUTH_METHODS.OTP], recoveryCodesLeft: remaining.length };
+    }
+
+    return { ok: false };
+  }
+}
+
+// ============================================================================
+// amr / acr claims
+// ============================================================================
+
+// Authentication Method Reference values (RFC 8176)
+const AUTH_METHODS = {
+  PASSWORD: 'pwd',
+  OTP: 'otp',
+  MULTI_FACTOR: 'mfa'
+};
+
+const ACR_LEVELS = {
+  SINGLE_FACTOR: 'aal1',
+  MULTI_FACTOR: 'aal2'
+};
+
+// GOOD: Claims describing how and when the user authenticated.
+// Guards read these - never a client-supplied flag.
+function authenticationClaims(methods, authTime = Math.floor(Date.now() / 1000)) {
+  const multiFactor = methods.length > 1;
+  const amr = multiFactor ? [...methods, AUTH_METHODS.MULTI_FACTOR] : [...methods];
+
+  return {
+    amr: amr,
+    acr: multiFactor ? ACR_LEVELS.MULTI_FACTOR : ACR_LEVELS.SINGLE_FACTOR,
+    auth_time: authTime
+  };
+}
+
+// GOOD: Step-up guard - sensitive routes need a second factor within maxAgeSeconds
+function requireSecondFactor({ maxAgeSeconds = 5 * 60 } = {}) {
+  return (req, res, next) => {
+    const claims = req.user || {};
+    const hasSecondFactor = Array.isArray(claims.amr) &&
+      claims.amr.includes(AUTH_METHODS.MULTI_FACTOR) &&
+      claims.acr === ACR_LEVELS.MULTI_FACTOR;
+    const recent = typeof claims.auth_time === 'number' &&
+      Math.floor(Date.now() / 1000) - claims.auth_time <= maxAgeSeconds;
+
+    if (!hasSecondFactor || !recent) {
+      SecurityLogger.logAuthorizationDenial(req, claims.userId, 'STEP_UP_REQUIRED');
+      // GOOD: Standard step-up challenge (RFC 9470) so clients know what to do
+      res.set('WWW-Authenticate',
+        `Bearer error="insufficient_user_authentication", ` +
+        `error_description="A recent second factor is required", ` +
+        `acr_values="${ACR_LEVELS.MULTI_FACTOR}", max_age=${maxAgeSeconds}`);
+      return res.status(401).json({ error: 'Second factor required', stepUp: true });
+    }
+
+    next();
+  };
+}
+
+// GOOD: Replacing an enabled second factor requires that factor first -
+// otherwise a stolen password-only session could enroll the attacker's
+// authenticator and then pass every step-up check
+function requireSecondFactorIfEnrolled(twoFactor, options) {
+  const stepUp = requireSecondFactor(options);
+
+  return async (req, res, next) => {
+    try {
+      if (await twoFactor.isEnabled(req.user.userId)) {
+        return stepUp(req, res, next);
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// ============================================================================
+// Login flow with a second step
+// ============================================================================
+
+const MFA_CHALLENGE_TTL_SECONDS = 5 * 60;
+const MFA_MAX_ATTEMPTS = 5;
+
+// GOOD: Password step returns an opaque, short-lived, single-use challenge -
+// not a JWT, so it can never be mistaken for an access token
+async function createMfaChallenge(user) {
+  const challenge = crypto.randomBytes(32).toString('base64url');
+  await getDefaultTokenStore().issue({
+    sessionId: hashSessionId(challenge),
+    userId: user.id,
+    status: SESSION_STATUS.MFA_PENDING,
+    attempts: 0,
+    user: user
+  }, MFA_CHALLENGE_TTL_SECONDS);
+  return challenge;
+}
+
+async function completeMfaChallenge(twoFactor, challenge, secondFactor) {
+  if (typeof challenge !== 'string' || challenge.length === 0) {
+    return { ok: false };
+  }
+
+  const store = getDefaultTokenStore();
+  const sessionId = hashSessionId(challenge);
+  const pending = await store.get(sessionId);
+  if (!pending || pending.status !== SESSION_STATUS.MFA_PENDING) {
+    return { ok: false };
+  }
+
+  const result = await twoFactor.verify(pending.userId, secondFactor);
+  if (!result.ok) {
+    // GOOD: Guessing is capped per challenge; the password step must be redone
+    const attempts = pending.attempts + 1;
+    if (attempts >= MFA_MAX_ATTEMPTS) {
+      await store.revoke(sessionId);
+    } else {
+      await store.touch(sessionId, { attempts }, MFA_CHALLENGE_TTL_SECONDS);
+    }
+    // Login returned for lockout accounting only
+    return { ok: false, login: pending.user.login };
+  }
+
+  await store.revoke(sessionId); // Single use
+  return { ok: true, user: pending.user, methods: result.methods };
+}
+
+// `issueToken(user, authClaims)` must embed authClaims (amr, acr, auth_time)
+function secureRoutes({
+  credentialVerifier,
+  twoFactor,
+  issueToken,
+  authMiddleware,
+  failureTracker = getDefaultAuthFailureTracker()
+}) {
+  const app = express();
+  app.use(express.json({ limit: '10kb' }));
+
+  app.post('/api/login', async (req, res) => {
+    const { username, password } = req.body || {};
+    const attempt = { account: typeof username === 'string' ? username : null, ip: req.ip };
+
+    const decision = await failureTracker.check(attempt);
+    if (!decision.allowed) {
+      SecurityLogger.logAuthFailure(req, 'LOCKED_OUT');
+      return sendLockedResponse(res, decision);
+    }
+
+    const result = await credentialVerifier.verify(username, password);
+    if (!result.ok) {
+      SecurityLogger.logAuthFailure(req, result.reason);
+      await failureTracker.recordFailure({ ...attempt, kind: FAILURE_KINDS.LOGIN }, req);
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    // GOOD: Enrolled users get a challenge, not a token.
+    // Failure counters are only cleared once the whole login succeeds.
+    if (await twoFactor.isEnabled(result.user.id)) {
+      return res.json({ mfaRequired: true, challenge: await createMfaChallenge(result.user) });
+    }
+
+    await failureTracker.recordSuccess(attempt);
+    SecurityLogger.logAuthSuccess(req, result.user.id);
+    return res.json(await issueToken(result.user, authenticationClaims([AUTH_METHODS.PASSWORD])));
+  });
+
+  app.post('/api/login/2fa', async (req, res) => {
+    const { challenge, code, recoveryCode } = req.body || {};
+
+    // The account is only known once the challenge is read - per-IP check here,
+    // the account lockout already gates the password step
+    const decision = await failureTracker.check({ ip: req.ip });
+    if (!decision.allowed) {
+      return sendLockedResponse(res, decision);
+    }
+
+    const result = await completeMfaChallenge(twoFactor, challenge, { code, recoveryCode });
+    if (!result.ok) {
+      SecurityLogger.logAuthFailure(req, 'INVALID_SECOND_FACTOR');
+      // GOOD: Fresh challenges (password re-entered) do not reset the count
+      await failureTracker.recordFailure(
+        { account: result.login, ip: req.ip, kind: FAILURE_KINDS.SECOND_FACTOR },
+        req
+      );
+      return res.status(401).json({ error: 'Invalid code' });
+    }
+
+    await failureTracker.recordSuccess({ account: result.user.login });
+    SecurityLogger.logAuthSuccess(req, result.user.id);
+    return res.json(await issueToken(
+      result.user,
+      authenticationClaims([AUTH_METHODS.PASSWORD, ...result.methods])
+    ));
+  });
+
+  app.post('/api/auth/2fa/enroll', authMiddleware, requireSecondFactorIfEnrolled(twoFactor), async (req, res) => {
+    const enrollment = await twoFactor.beginEnrollment({ id: req.user.userId, login: req.user.login });
+    return res.json(enrollment);
+  });
+
+  app.post('/api/auth/2fa/confirm', authMiddleware, requireSecondFactorIfEnrolled(twoFactor), async (req, res) => {
+    const result = await twoFactor.confirmEnrollment(req.user.userId, (req.body || {}).code);
+    if (!result.ok) {
+      return res.status(400).json({ error: 'Invalid code' });
+    }
+    // GOOD: Recovery codes are returned once and never again
+    return res.json({ recoveryCodes: result.recoveryCodes });
+  });
+
+  // GOOD: Step-up - an already logged-in user proves the second factor again
+  app.post('/api/auth/step-up', authMiddleware, async (req, res) => {
+    // GOOD: Same guessing limits as the login 2FA step
+    const attempt = { account: req.user.login || `user:${req.user.userId}`, ip: req.ip };
+    const decision = await failureTracker.check(attempt);
+    if (!decision.allowed) {
+      SecurityLogger.logAuthFailure(req, 'LOCKED_OUT');
+      return sendLockedResponse(res, decision);
+    }
+
+    const result = await twoFactor.verify(req.user.userId, { code: (req.body || {}).code });
+    if (!result.ok) {
+      SecurityLogger.logAuthFailure(req, 'STEP_UP_FAILED');
+      await failureTracker.recordFailure({ ...attempt, kind: FAILURE_KINDS.SECOND_FACTOR }, req);
+      return res.status(401).json({ error: 'Invalid code' });
+    }
+
+    await failureTracker.recordSuccess({ account: attempt.account });
+
+    // GOOD: The new token keeps the session's claims (role, system, ...) and
+    // the pre-step-up token stops working
+    const { userId, iat, exp, nbf, jti, iss, aud, sub, amr, acr, auth_time, ...carried } = req.user;
+    const issued = await issueToken(
+      { ...carried, id: userId },
+      authenticationClaims([AUTH_METHODS.PASSWORD, AUTH_METHODS.OTP])
+    );
+    if (jti) {
+      await markSessionLoggedOut(req.user);
+    }
+    return res.json(issued);
+  });
+
+  // GOOD: Irreversible action requires a second factor in the last 5 minutes
+  app.delete('/api/users/:id', authMiddleware, requireSecondFactor(), (req, res) => {
+    return res.json({ message: `User ${req.params.id} deleted` });
+  });
+
+  return app;
+}
+
+module.exports = {
+  TOTP_CONFIG,
+  AUTH_METHODS,
+  ACR_LEVELS,
+  insecureLogin,
+  insecureDeleteUser,
+  base32Encode,
+  base32Decode,
+  generateHotp,
+  verifyTotp,
+  buildOtpauthUri,
+  encryptTotpSecret,
+  decryptTotpSecret,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  InMemoryTwoFactorRepository,
+  TwoFactorService,
+  authenticationClaims,
+  requireSecondFactor,
+  requireSecondFactorIfEnrolled,
+  createMfaChallenge,
+  completeMfaChallenge,
+  secureRoutes
+};
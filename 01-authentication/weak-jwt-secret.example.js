@@ -7,6 +7,7 @@
 
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const { signToken } = require('./hardened-token-verification.example');
 
 // ============================================================================
 // ❌ INSECURE: Weak secrets
@@ -50,10 +51,9 @@ function secureGenerateToken(userId) {
     throw new Error('JWT_SECRET must be at least 32 characters long');
   }
   
-  // GOOD: Using strong secret
-  const token = jwt.sign(
+  // GOOD: Using strong secret (JWT_SECRET) through the shared issuer
+  const token = signToken(
     { userId: userId },
-    STRONG_SECRET, // Strong, random, unguessable
     { expiresIn: '1h' }
   );
   return token;
@@ -6,6 +6,7 @@
  */
 
 const jwt = require('jsonwebtoken');
+const { signToken } = require('../01-authentication/hardened-token-verification.example');
 
 // ============================================================================
 // ❌ INSECURE: No system identity check
@@ -52,12 +53,11 @@ function insecureGetInternalData(req, res) {
 
 function secureLogin(userId, systemName) {
   // GOOD: Include system identity in token (authenticated)
-  const token = jwt.sign(
+  const token = signToken(
     { 
       userId: userId,
       system: systemName // System identity in token
     },
-    process.env.JWT_SECRET,
     { expiresIn: '24h' }
   );
   return token;
@@ -86,20 +86,20 @@ function requireSystem(allowedSystems) {
 
 // GOOD: API with system-level authorization
 function secureGetAdminData(req, res) {
-  // Authorization handled by requireSystem middleware
+  // Authorization handled by requireSystem / enforceSystemAccessRules
   // Only 'admin-portal' system can access
   return res.json({ adminData: 'sensitive information' });
 }
 
 function secureGetInternalData(req, res) {
-  // Authorization handled by requireSystem middleware
+  // Authorization handled by requireSystem / enforceSystemAccessRules
   // Only 'internal' system can access
   return res.json({ internalData: 'sensitive' });
 }
 
 // GOOD: API accessible by multiple systems
 function secureGetSharedData(req, res) {
-  // Authorization handled by requireSystem middleware
+  // Authorization handled by requireSystem / enforceSystemAccessRules
   // Both 'customer-portal' and 'admin-portal' can access
   return res.json({ sharedData: 'accessible by multiple systems' });
 }
@@ -122,83 +122,316 @@ function insecureRoutes() {
   return app;
 }
 
-// ✅ SECURE Routes
-function secureRoutes() {
+// ✅ SECURE Routes: `authMiddleware` sets req.user (e.g. sessionAuthMiddleware)
+function secureRoutes(authMiddleware) {
   const express = require('express');
   const app = express();
   
-  // GOOD: Admin endpoint only for admin-portal system
-  app.get('/api/admin/data',
-    requireSystem('admin-portal'),
-    secureGetAdminData
-  );
+  // GOOD: One middleware enforces SYSTEM_ACCESS_RULES for every /api route,
+  // including routes added later without a guard of their own
+  app.use('/api', authMiddleware);
+  app.use(enforceSystemAccessRules());
   
-  // GOOD: Internal endpoint only for internal system
-  app.get('/api/internal/data',
-    requireSystem('internal'),
-    secureGetInternalData
-  );
+  app.get('/api/admin/data', secureGetAdminData);
   
-  // GOOD: Shared endpoint for multiple systems
-  app.get('/api/shared/data',
-    requireSystem(['customer-portal', 'admin-portal']),
-    secureGetSharedData
-  );
+  app.get('/api/internal/data', secureGetInternalData);
+  
+  app.get('/api/shared/data', secureGetSharedData);
+  
+  app.get('/api/customer/data', (req, res) => {
+    res.json({ customerData: 'customer-facing systems only' });
+  });
+  
+  app.get('/api/customers/:customerId/orders', (req, res) => {
+    res.json({ orders: [] });
+  });
+  
+  app.post('/api/customers/:customerId/orders', (req, res) => {
+    res.status(201).json({ message: 'Order created' });
+  });
+  
+  // GOOD: Admin-only by the more specific rule, although it sits under
+  // /api/customers/:customerId/* which customer systems may POST to
+  app.post('/api/customers/:customerId/orders/:orderId/refund', (req, res) => {
+    res.json({ message: 'Refund issued' });
+  });
+  
+  // GOOD: Fail startup if a rule no longer matches any route
+  verifySystemAccessRules(app);
   
   return app;
 }
 
 // ============================================================================
-// Combined: System + User Permissions
+// System Definitions
+// ============================================================================
+
+const SYSTEMS = {
+  CUSTOMER_PORTAL: 'customer-portal',
+  ADMIN_PORTAL: 'admin-portal',
+  INTERNAL: 'internal',
+  MOBILE_APP: 'mobile-app'
+};
+
+// Define which systems can access which endpoints.
+// Keys are Express-style paths: `:name` matches one segment, a trailing `/*`
+// matches one or more. Values are the allowed systems for every method, or an
+// object of per-method lists (HEAD follows GET, '*' covers the rest).
+// The most specific matching path wins; /api paths without a rule are denied.
+const SYSTEM_ACCESS_RULES = {
+  '/api/admin/data': [SYSTEMS.ADMIN_PORTAL],
+  '/api/internal/data': [SYSTEMS.INTERNAL],
+  '/api/customer/data': [SYSTEMS.CUSTOMER_PORTAL, SYSTEMS.MOBILE_APP],
+  '/api/shared/data': [SYSTEMS.CUSTOMER_PORTAL, SYSTEMS.ADMIN_PORTAL],
+  '/api/customers/:customerId/*': {
+    GET: [SYSTEMS.CUSTOMER_PORTAL, SYSTEMS.MOBILE_APP, SYSTEMS.ADMIN_PORTAL],
+    POST: [SYSTEMS.CUSTOMER_PORTAL, SYSTEMS.MOBILE_APP]
+  },
+  // More specific than the rule above: refunds are admin-only
+  '/api/customers/:customerId/orders/:orderId/refund': {
+    POST: [SYSTEMS.ADMIN_PORTAL]
+  }
+};
+
 // ============================================================================
+// ✅ SECURE: SYSTEM_ACCESS_RULES enforced by one middleware
+// ============================================================================
+
+const RULE_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS', '*'];
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Turns one table entry into { pattern, segments, wildcard, regexp, methods }.
+// Throws on anything malformed, so a typo stops startup instead of opening a path.
+function compileSystemAccessRule(pattern, allowed) {
+  const knownSystems = Object.values(SYSTEMS);
+  
+  if (typeof pattern !== 'string' || !pattern.startsWith('/')) {
+    throw new Error(`Invalid system access pattern: ${pattern}`);
+  }
+  
+  const segments = pattern.slice(1).split('/');
+  const wildcard = segments[segments.length - 1] === '*';
+  if (wildcard) {
+    segments.pop();
+  }
+  for (const segment of segments) {
+    const isParam = segment.startsWith(':');
+    if (segment === '' || segment.includes('*') ||
+        (isParam && !/^:[A-Za-z_][A-Za-z0-9_]*$/.test(segment))) {
+      throw new Error(`Invalid segment "${segment}" in system access pattern ${pattern}`);
+    }
+  }
+  
+  const methods = Array.isArray(allowed) ? { '*': allowed } : allowed;
+  if (!methods || typeof methods !== 'object' || Object.keys(methods).length === 0) {
+    throw new Error(`System access rule ${pattern} must list systems or methods`);
+  }
+  for (const [method, systems] of Object.entries(methods)) {
+    if (!RULE_METHODS.includes(method)) {
+      throw new Error(`System access rule ${pattern} has unknown method: ${method}`);
+    }
+    if (!Array.isArray(systems) || systems.some(system => !knownSystems.includes(system))) {
+      throw new Error(`System access rule ${pattern} ${method} has unknown systems: ${systems}`);
+    }
+  }
+  
+  const source = segments
+    .map(segment => (segment.startsWith(':') ? '/[^/]+' : '/' + escapeRegExp(segment)))
+    .join('');
+  
+  return {
+    pattern,
+    segments,
+    wildcard,
+    // GOOD: Same matching as Express routes - case-insensitive, optional trailing slash
+    regexp: new RegExp(`^${source}${wildcard ? '/.+' : ''}/?$`, 'i'),
+    methods
+  };
+}
+
+// GOOD: Longest match - more segments first, then a literal segment beats a
+// parameter at the first place they differ, then exact beats wildcard
+function compareRuleSpecificity(a, b) {
+  if (a.segments.length !== b.segments.length) {
+    return b.segments.length - a.segments.length;
+  }
+  for (let i = 0; i < a.segments.length; i++) {
+    const aParam = a.segments[i].startsWith(':');
+    const bParam = b.segments[i].startsWith(':');
+    if (aParam !== bParam) {
+      return aParam ? 1 : -1;
+    }
+  }
+  return Number(a.wildcard) - Number(b.wildcard);
+}
+
+function compileSystemAccessRules(rules) {
+  const compiled = Object.entries(rules).map(([pattern, allowed]) => compileSystemAccessRule(pattern, allowed));
+  
+  // GOOD: '/a/:id' and '/a/:userId' are the same path - reject instead of picking one
+  const shapes = new Set();
+  for (const rule of compiled) {
+    const shape = rule.segments.map(segment => (segment.startsWith(':') ? ':' : segment.toLowerCase())).join('/') +
+      (rule.wildcard ? '/*' : '');
+    if (shapes.has(shape)) {
+      throw new Error(`Duplicate system access pattern: ${rule.pattern}`);
+    }
+    shapes.add(shape);
+  }
+  
+  return compiled.sort(compareRuleSpecificity);
+}
+
+function allowedSystemsForMethod(rule, method) {
+  if (rule.methods[method]) {
+    return rule.methods[method];
+  }
+  if (method === 'HEAD' && rule.methods.GET) {
+    return rule.methods.GET;
+  }
+  return rule.methods['*'] || null;
+}
+
+function isUnderPrefix(path, prefix) {
+  const lower = path.toLowerCase();
+  return lower === prefix || lower.startsWith(prefix + '/');
+}
 
-function requireSystemAndPermission(system, permission) {
+// GOOD: Mount once, after authentication and before the routes:
+//   app.use(authMiddleware);
+//   app.use(enforceSystemAccessRules());
+// Paths outside `prefix` pass through; inside it, no rule means no access.
+function enforceSystemAccessRules(rules = SYSTEM_ACCESS_RULES, { prefix = '/api' } = {}) {
+  const compiled = compileSystemAccessRules(rules);
+  
   return (req, res, next) => {
+    const path = (req.baseUrl || '') + req.path;
+    if (!isUnderPrefix(path, prefix)) {
+      return next();
+    }
+    
     if (!req.user) {
       return res.status(401).json({ error: 'Not authenticated' });
     }
     
-    // GOOD: Check system identity
-    if (req.user.system !== system) {
-      return res.status(403).json({ error: 'System not authorized' });
-    }
+    const rule = compiled.find(candidate => candidate.regexp.test(path));
+    const systems = rule ? allowedSystemsForMethod(rule, req.method) : null;
     
-    // GOOD: Check user permission
-    const permissions = req.user.permissions || [];
-    if (!permissions.includes(permission)) {
-      return res.status(403).json({ error: 'Insufficient permissions' });
+    // GOOD: Verify system identity from token (not header); default deny
+    const userSystem = req.user.system;
+    if (!systems || !userSystem || !systems.includes(userSystem)) {
+      return res.status(403).json({ 
+        error: 'System not authorized for this endpoint' 
+      });
     }
     
+    req.systemAccessRule = rule.pattern;
     next();
   };
 }
 
-// ============================================================================
-// System Definitions
-// ============================================================================
+// Express 4 keeps a mounted router's path only as a RegExp (`^\/api\/?(?=\/|$)`)
+function routerMountPath(layer) {
+  if (layer.regexp.fast_slash) {
+    return '';
+  }
+  
+  const suffix = '\\/?(?=\\/|$)';
+  const source = layer.regexp.source;
+  const body = source.slice(1, -suffix.length);
+  if (!source.startsWith('^') || !source.endsWith(suffix) || !/^(?:\\[/.-]|[\w~-])+$/.test(body)) {
+    throw new Error(`Cannot determine mount path of router ${layer.regexp}; mount routers on plain paths`);
+  }
+  return body.replace(/\\(.)/g, '$1');
+}
 
-const SYSTEMS = {
-  CUSTOMER_PORTAL: 'customer-portal',
-  ADMIN_PORTAL: 'admin-portal',
-  INTERNAL: 'internal',
-  MOBILE_APP: 'mobile-app'
-};
+// Returns [{ method, path }] for every string route registered on `app`,
+// including routers mounted on plain paths
+function listRoutes(app) {
+  const routes = [];
+  
+  function walk(stack, prefix) {
+    for (const layer of stack) {
+      if (layer.route) {
+        const paths = [].concat(layer.route.path).filter(path => typeof path === 'string');
+        for (const path of paths) {
+          for (const method of Object.keys(layer.route.methods)) {
+            routes.push({ method: method === '_all' ? '*' : method.toUpperCase(), path: prefix + path });
+          }
+        }
+      } else if (layer.name === 'router' && layer.handle && layer.handle.stack) {
+        walk(layer.handle.stack, prefix + routerMountPath(layer));
+      }
+    }
+  }
+  
+  walk(app._router ? app._router.stack : [], '');
+  return routes;
+}
 
-// Define which systems can access which endpoints
-const SYSTEM_ACCESS_RULES = {
-  '/api/admin/data': [SYSTEMS.ADMIN_PORTAL],
-  '/api/internal/data': [SYSTEMS.INTERNAL],
-  '/api/customer/data': [SYSTEMS.CUSTOMER_PORTAL, SYSTEMS.MOBILE_APP],
-  '/api/shared/data': [SYSTEMS.CUSTOMER_PORTAL, SYSTEMS.ADMIN_PORTAL]
-};
+// True if some request could hit both the rule and the route
+// (a parameter on either side matches anything in that segment)
+function ruleMatchesRoute(rule, routePath) {
+  const routeSegments = routePath.replace(/\/$/, '').split('/').slice(1);
+  const routeWildcard = routeSegments.indexOf('*');
+  const fixed = routeWildcard === -1 ? routeSegments : routeSegments.slice(0, routeWildcard);
+  
+  if (routeWildcard === -1) {
+    if (rule.wildcard ? fixed.length <= rule.segments.length : fixed.length !== rule.segments.length) {
+      return false;
+    }
+  } else if (!rule.wildcard && rule.segments.length < fixed.length) {
+    return false;
+  }
+  
+  // Segments past a route wildcard match anything
+  return rule.segments.every((segment, i) =>
+    i >= fixed.length || segment.startsWith(':') || fixed[i].startsWith(':') ||
+    segment.toLowerCase() === fixed[i].toLowerCase());
+}
+
+// GOOD: Run at startup, after all routes are registered. Every rule - and every
+// method a rule lists - must match a registered route, so renamed or deleted
+// routes do not leave stale entries behind.
+function verifySystemAccessRules(app, rules = SYSTEM_ACCESS_RULES) {
+  const routes = listRoutes(app);
+  const problems = [];
+  
+  for (const rule of compileSystemAccessRules(rules)) {
+    const matching = routes.filter(route => ruleMatchesRoute(rule, route.path));
+    if (matching.length === 0) {
+      problems.push(`${rule.pattern} matches no registered route`);
+      continue;
+    }
+    
+    for (const method of Object.keys(rule.methods).filter(method => method !== '*')) {
+      const covered = matching.some(route =>
+        route.method === method || route.method === '*' || (method === 'HEAD' && route.method === 'GET'));
+      if (!covered) {
+        problems.push(`${rule.pattern} ${method} matches no registered route`);
+      }
+    }
+  }
+  
+  if (problems.length > 0) {
+    throw new Error(`Invalid SYSTEM_ACCESS_RULES:\n  ${problems.join('\n  ')}`);
+  }
+  return true;
+}
 
 module.exports = {
   SYSTEMS,
   SYSTEM_ACCESS_RULES,
+  compileSystemAccessRules,
+  enforceSystemAccessRules,
+  listRoutes,
+  verifySystemAccessRules,
   insecureLogin,
   secureLogin,
   requireSystem,
-  requireSystemAndPermission,
   insecureGetAdminData,
   secureGetAdminData,
   insecureGetInternalData,
@@ -7,6 +7,9 @@
 
 const express = require('express');
 const jwt = require('jsonwebtoken');
+const { verifyToken } = require('../01-authentication/hardened-token-verification.example');
+const { requireSecondFactor } = require('../01-authentication/totp-two-factor.example');
+const { authorize } = require('./policy-engine.example');
 
 // ============================================================================
 // ❌ INSECURE: Global auth only, no per-route guards
@@ -63,87 +66,44 @@ function secureAuthMiddleware(req, res, next) {
     return res.status(401).json({ error: 'No token' });
   }
   
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
-  } catch (error) {
+  // GOOD: Shared verifier (algorithm, issuer, audience, age)
+  const result = verifyToken(token);
+  if (!result.ok) {
     return res.status(401).json({ error: 'Invalid token' });
   }
+  
+  req.user = result.claims;
+  next();
 }
 
-// GOOD: Authorization guard factory
-function requireRole(role) {
-  return (req, res, next) => {
-    if (!req.user) {
-      return res.status(401).json({ error: 'Not authenticated' });
-    }
-    
-    if (req.user.role !== role) {
-      return res.status(403).json({ error: 'Insufficient permissions' });
-    }
-    
-    next();
-  };
-}
-
-// GOOD: Permission-based guard
-function requirePermission(permission) {
-  return (req, res, next) => {
-    if (!req.user) {
-      return res.status(401).json({ error: 'Not authenticated' });
-    }
-    
-    const permissions = req.user.permissions || [];
-    if (!permissions.includes(permission)) {
-      return res.status(403).json({ error: 'Insufficient permissions' });
-    }
-    
-    next();
-  };
-}
-
-// GOOD: System identity guard
-function requireSystem(systemName) {
-  return (req, res, next) => {
-    if (!req.user) {
-      return res.status(401).json({ error: 'Not authenticated' });
-    }
-    
-    if (req.user.system !== systemName) {
-      return res.status(403).json({ error: 'System not authorized' });
-    }
-    
-    next();
-  };
-}
-
-// GOOD: Routes with explicit per-route guards
-function secureRoutes() {
+// GOOD: Routes with explicit per-route guards - one authorize(action, resource)
+// guard backed by declarative rules (see policy-engine.example.js)
+function secureRoutes({ engine, resolver } = {}) {
   const app = express();
   
   // GOOD: Apply auth middleware globally
   app.use('/api', secureAuthMiddleware);
   
-  // GOOD: Admin endpoint requires admin role
+  // GOOD: Admin endpoint requires admin role (rule admins-list-users)
   app.get('/api/admin/users',
-    requireRole('admin'), // Explicit guard
+    authorize('users:list', 'user', { engine, resolver }), // Explicit guard
     (req, res) => {
       res.json({ users: ['admin1', 'admin2'] });
     }
   );
   
-  // GOOD: Delete requires specific permission
+  // GOOD: Delete requires specific permission, and never your own account
   app.delete('/api/users/:id',
-    requirePermission('users:delete'), // Explicit guard
+    authorize('users:delete', req => ({ type: 'user', id: req.params.id }), { engine, resolver }),
+    requireSecondFactor(), // Step-up: recent second factor
     (req, res) => {
       res.json({ message: 'User deleted' });
     }
   );
   
-  // GOOD: Internal API requires internal system
+  // GOOD: Internal API requires internal system (rule internal-reads-config)
   app.get('/api/internal/config',
-    requireSystem('internal'), // Explicit guard
+    authorize('config:read', 'config', { engine, resolver }), // Explicit guard
     (req, res) => {
       res.json({ config: process.env });
     }
@@ -212,9 +172,6 @@ module.exports = {
   insecureAuthMiddleware,
   insecureRoutes,
   secureAuthMiddleware,
-  requireRole,
-  requirePermission,
-  requireSystem,
   secureRoutes,
   secureRoutesWithDefaultDeny
 };
@@ -0,0 +1,310 @@
+/**
+ * Example: Mutual-TLS Client Identity Mapped to Systems
+ *
+ * This file demonstrates the security issue of taking system identity from a
+ * `system` claim that anyone holding the shared JWT secret can forge, and shows
+ * how to derive it from a verified client certificate instead (subject or SAN
+ * mapped to SYSTEMS), either combined with the token claim or replacing it.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const https = require('https');
+const crypto = require('crypto');
+const express = require('express');
+const { execFileSync } = require('child_process');
+const { SYSTEMS, requireSystem } = require('./cross-system-access.example');
+const { SecurityLogger } = require('../07-detection-and-logging/missing-security-logs.example');
+const { sessionAuthMiddleware, ROUTE_GROUPS } = require('../03-session-management/session-store-outage-policy.example');
+
+// ============================================================================
+// ❌ INSECURE: System identity only from a shared-secret token
+// ============================================================================
+
+function insecureSystemFromToken(req, res, next) {
+  // BAD: Every service that can verify tokens holds JWT_SECRET, so every one
+  // of them can also sign { system: 'admin-portal' } for itself.
+  // requireSystem() then trusts whatever `system` the token carries.
+  if (req.user && req.user.system === SYSTEMS.ADMIN_PORTAL) {
+    return next();
+  }
+  return res.status(403).json({ error: 'Forbidden' });
+}
+
+// ============================================================================
+// ✅ SECURE: System identity from a certificate the TLS layer verified
+// ============================================================================
+
+const CERT_IDENTITY_MODES = {
+  // Certificate is the only source of system identity; the token claim is ignored
+  CERTIFICATE: 'certificate',
+  // Token and certificate must both be present and name the same system
+  CERTIFICATE_AND_TOKEN: 'certificate-and-token'
+};
+
+const CERT_FAILURE = {
+  NOT_PRESENTED: 'CLIENT_CERT_NOT_PRESENTED',
+  NOT_TRUSTED: 'CLIENT_CERT_NOT_TRUSTED',
+  NOT_CLIENT_AUTH: 'CLIENT_CERT_NOT_CLIENT_AUTH',
+  UNMAPPED: 'CLIENT_CERT_UNMAPPED',
+  AMBIGUOUS: 'CLIENT_CERT_AMBIGUOUS',
+  SYSTEM_MISMATCH: 'CLIENT_CERT_SYSTEM_MISMATCH'
+};
+
+const CLIENT_AUTH_OID = '1.3.6.1.5.5.7.3.2';
+
+// GOOD: Explicit mapping - a certificate from the right CA is not enough,
+// its identity must be registered for a system
+// .env:
+// CLIENT_CERT_SYSTEMS=[
+//   {"system":"internal","san":"URI:spiffe://example.internal/system/internal"},
+//   {"system":"admin-portal","subject":"CN=admin-portal"}
+// ]
+class CertificateSystemMap {
+  constructor(entries = []) {
+    const knownSystems = Object.values(SYSTEMS);
+    this.identities = new Map(); // 'URI:...' | 'DNS:...' | 'CN=...' -> system
+
+    for (const { system, san, subject } of entries) {
+      if (!knownSystems.includes(system)) {
+        throw new Error(`Client certificate mapping has unknown system: ${system}`);
+      }
+      if (Boolean(san) === Boolean(subject)) {
+        throw new Error(`Client certificate mapping for ${system} needs exactly one of san or subject`);
+      }
+      if (san && !/^(URI|DNS):\S+$/.test(san)) {
+        throw new Error(`Client certificate SAN must be URI:... or DNS:..., got: ${san}`);
+      }
+      if (subject && !/^CN=.+$/.test(subject)) {
+        throw new Error(`Client certificate subject must be CN=..., got: ${subject}`);
+      }
+
+      const identity = san || subject;
+      if (this.identities.has(identity)) {
+        throw new Error(`Client certificate identity mapped twice: ${identity}`);
+      }
+      this.identities.set(identity, system);
+    }
+  }
+
+  // Returns { ok: true, system, identity } or { ok: false, reason }
+  resolve(certificate) {
+    const candidates = certificateIdentities(certificate);
+    const matches = candidates.filter(identity => this.identities.has(identity));
+    const systems = new Set(matches.map(identity => this.identities.get(identity)));
+
+    if (systems.size === 0) {
+      return { ok: false, reason: CERT_FAILURE.UNMAPPED };
+    }
+    // GOOD: A certificate that names two systems is a mis-issue, not a choice
+    if (systems.size > 1) {
+      return { ok: false, reason: CERT_FAILURE.AMBIGUOUS };
+    }
+    return { ok: true, system: [...systems][0], identity: matches[0] };
+  }
+}
+
+function loadCertificateSystemMapFromEnv() {
+  return new CertificateSystemMap(JSON.parse(process.env.CLIENT_CERT_SYSTEMS || '[]'));
+}
+
+// SAN entries first (e.g. 'URI:spiffe://...', 'DNS:host'), then the subject CN
+function certificateIdentities(certificate) {
+  const sans = (certificate.subjectaltname || '')
+    .split(', ')
+    .filter(entry => entry.startsWith('URI:') || entry.startsWith('DNS:'));
+  const commonName = certificate.subject && certificate.subject.CN;
+
+  return typeof commonName === 'string' ? [...sans, `CN=${commonName}`] : sans;
+}
+
+function describeCertificate(certificate) {
+  return {
+    subject: certificate.subject && certificate.subject.CN,
+    issuer: certificate.issuer && certificate.issuer.CN,
+    serialNumber: certificate.serialNumber,
+    fingerprint256: certificate.fingerprint256,
+    validTo: certificate.valid_to
+  };
+}
+
+// ✅ SECURE Middleware: sets req.user.system from the client certificate.
+// Mount after the token middleware when using CERTIFICATE_AND_TOKEN.
+function requireClientCertificate({
+  map = loadCertificateSystemMapFromEnv(),
+  mode = CERT_IDENTITY_MODES.CERTIFICATE_AND_TOKEN
+} = {}) {
+  if (!Object.values(CERT_IDENTITY_MODES).includes(mode)) {
+    throw new Error(`Unknown client certificate mode: ${mode}`);
+  }
+
+  return (req, res, next) => {
+    const socket = req.socket;
+    const certificate = typeof socket.getPeerCertificate === 'function'
+      ? socket.getPeerCertificate()
+      : null;
+
+    if (!certificate || Object.keys(certificate).length === 0) {
+      SecurityLogger.logAuthFailure(req, CERT_FAILURE.NOT_PRESENTED);
+      return res.status(401).json({ error: 'Client certificate required' });
+    }
+
+    // GOOD: Chain verified against our CA by the TLS layer - never trust
+    // a certificate (or a header describing one) that was not verified here
+    if (!socket.authorized) {
+      SecurityLogger.logAuthFailure(req, CERT_FAILURE.NOT_TRUSTED);
+      return res.status(401).json({ error: 'Client certificate required' });
+    }
+
+    if (!(certificate.ext_key_usage || []).includes(CLIENT_AUTH_OID)) {
+      SecurityLogger.logAuthFailure(req, CERT_FAILURE.NOT_CLIENT_AUTH);
+      return res.status(401).json({ error: 'Client certificate required' });
+    }
+
+    const resolved = map.resolve(certificate);
+    if (!resolved.ok) {
+      SecurityLogger.logSuspiciousActivity(req, resolved.reason, describeCertificate(certificate));
+      return res.status(403).json({ error: 'System not authorized' });
+    }
+
+    const clientCertificate = { identity: resolved.identity, ...describeCertificate(certificate) };
+
+    if (mode === CERT_IDENTITY_MODES.CERTIFICATE_AND_TOKEN) {
+      if (!req.user) {
+        return res.status(401).json({ error: 'Not authenticated' });
+      }
+      // GOOD: A forged `system` claim fails here - the attacker would also need
+      // the other system's private key
+      if (req.user.system !== resolved.system) {
+        SecurityLogger.logSuspiciousActivity(req, CERT_FAILURE.SYSTEM_MISMATCH, {
+          tokenSystem: req.user.system,
+          certificateSystem: resolved.system,
+          ...clientCertificate
+        });
+        return res.status(403).json({ error: 'System not authorized' });
+      }
+      req.user = { ...req.user, clientCertificate };
+      return next();
+    }
+
+    // CERTIFICATE mode: the certificate replaces any system claim in the token
+    req.user = {
+      ...(req.user || { authMethod: 'mtls' }),
+      system: resolved.system,
+      clientCertificate
+    };
+    next();
+  };
+}
+
+// GOOD: The TLS layer rejects connections without a certificate from our CA
+// before any route runs
+function createMtlsServer(app, {
+  key = fs.readFileSync(process.env.TLS_KEY_FILE),
+  cert = fs.readFileSync(process.env.TLS_CERT_FILE),
+  ca = fs.readFileSync(process.env.TLS_CLIENT_CA_FILE)
+} = {}) {
+  return https.createServer({
+    key,
+    cert,
+    ca, // Only the internal client CA - not the public trust store
+    requestCert: true,
+    rejectUnauthorized: true,
+    minVersion: 'TLSv1.2'
+  }, app);
+}
+
+// ============================================================================
+// Local test CA
+// ============================================================================
+
+// Generates a throwaway CA, a server certificate for localhost and one client
+// certificate per system (SAN URI:spiffe://security-guide.test/system/<name>).
+// Requires the openssl CLI. Never use these outside local testing.
+function generateTestCertificates(dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mtls-test-'))) {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('Test certificates must not be generated in production');
+  }
+
+  const file = name => path.join(dir, name);
+  const openssl = args => execFileSync('openssl', args, { stdio: 'pipe' });
+  const newKey = ['-newkey', 'ec', '-pkeyopt', 'ec_paramgen_curve:P-256', '-nodes'];
+
+  openssl(['req', '-x509', ...newKey, '-keyout', file('ca.key'), '-out', file('ca.crt'),
+    '-days', '30', '-subj', '/CN=Security Guide Test CA',
+    '-addext', 'basicConstraints=critical,CA:TRUE',
+    '-addext', 'keyUsage=critical,keyCertSign,cRLSign']);
+
+  function issue(name, commonName, extensions) {
+    fs.writeFileSync(file(`${name}.ext`), extensions.join('\n'));
+    openssl(['req', ...newKey, '-keyout', file(`${name}.key`), '-out', file(`${name}.csr`),
+      '-subj', `/CN=${commonName}`]);
+    openssl(['x509', '-req', '-in', file(`${name}.csr`), '-CA', file('ca.crt'), '-CAkey', file('ca.key'),
+      '-set_serial', `0x${crypto.randomBytes(8).toString('hex')}`,
+      '-days', '7', '-extfile', file(`${name}.ext`), '-out', file(`${name}.crt`)]);
+    return { key: fs.readFileSync(file(`${name}.key`)), cert: fs.readFileSync(file(`${name}.crt`)) };
+  }
+
+  const server = issue('server', 'localhost', [
+    'basicConstraints=CA:FALSE',
+    'extendedKeyUsage=serverAuth',
+    'subjectAltName=DNS:localhost,IP:127.0.0.1'
+  ]);
+
+  const clients = {};
+  for (const system of Object.values(SYSTEMS)) {
+    clients[system] = issue(`client-${system}`, system, [
+      'basicConstraints=CA:FALSE',
+      'extendedKeyUsage=clientAuth',
+      `subjectAltName=URI:spiffe://security-guide.test/system/${system}`
+    ]);
+  }
+
+  const map = Object.values(SYSTEMS).map(system => ({
+    system,
+    san: `URI:spiffe://security-guide.test/system/${system}`
+  }));
+
+  return { dir, ca: fs.readFileSync(file('ca.crt')), server, clients, map };
+}
+
+// ============================================================================
+// Express Route Examples
+// ============================================================================
+
+// ✅ SECURE Routes: serve with createMtlsServer(secureRoutes())
+function secureRoutes({ map = loadCertificateSystemMapFromEnv() } = {}) {
+  const app = express();
+
+  // GOOD: Machine-only endpoint - the certificate alone identifies the system
+  app.get('/api/internal/health-report',
+    requireClientCertificate({ map, mode: CERT_IDENTITY_MODES.CERTIFICATE }),
+    requireSystem(SYSTEMS.INTERNAL),
+    (req, res) => res.json({ report: 'ok', caller: req.user.clientCertificate.identity })
+  );
+
+  // GOOD: User request made through a system - token for the user,
+  // certificate for the system, and they must agree
+  app.get('/api/admin/users',
+    sessionAuthMiddleware(ROUTE_GROUPS.ADMIN),
+    requireClientCertificate({ map, mode: CERT_IDENTITY_MODES.CERTIFICATE_AND_TOKEN }),
+    requireSystem(SYSTEMS.ADMIN_PORTAL),
+    (req, res) => res.json({ users: [] })
+  );
+
+  return app;
+}
+
+module.exports = {
+  CERT_IDENTITY_MODES,
+  CERT_FAILURE,
+  insecureSystemFromToken,
+  CertificateSystemMap,
+  loadCertificateSystemMapFromEnv,
+  certificateIdentities,
+  requireClientCertificate,
+  createMtlsServer,
+  generateTestCertificates,
+  secureRoutes
+};
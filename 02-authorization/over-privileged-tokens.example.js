@@ -6,6 +6,8 @@
  */
 
 const jwt = require('jsonwebtoken');
+const { signToken } = require('../01-authentication/hardened-token-verification.example');
+const { requireSecondFactor } = require('../01-authentication/totp-two-factor.example');
 
 // ============================================================================
 // ❌ INSECURE: Token grants full access
@@ -54,43 +56,290 @@ const PERMISSIONS = {
   ADMIN_ACCESS: 'admin:access'
 };
 
-// User roles and their permissions
-const ROLE_PERMISSIONS = {
-  admin: [PERMISSIONS.USERS_READ, PERMISSIONS.USERS_WRITE, PERMISSIONS.USERS_DELETE, PERMISSIONS.ADMIN_ACCESS],
-  user: [PERMISSIONS.USERS_READ], // Regular users can only read
-  moderator: [PERMISSIONS.USERS_READ, PERMISSIONS.USERS_WRITE] // Can read and write, but not delete
+// GOOD: Roles are defined once and build on each other (admin > moderator > user)
+//   inherits - roles whose permissions this role also gets
+//   grants   - permissions or wildcards ('users:*', '*')
+//   denies   - explicit negative grants, removed after inherits and grants;
+//              a role that inherits from this one may grant them again
+const ROLE_DEFINITIONS = {
+  user: {
+    grants: [PERMISSIONS.USERS_READ] // Regular users can only read
+  },
+  moderator: {
+    inherits: ['user'],
+    grants: ['users:*'],
+    denies: [PERMISSIONS.USERS_DELETE] // Can read and write, but not delete
+  },
+  admin: {
+    inherits: ['moderator'],
+    grants: ['users:*', PERMISSIONS.ADMIN_ACCESS]
+  }
 };
 
-function secureLogin(userId, role) {
-  // GOOD: Include permissions in token
-  const permissions = ROLE_PERMISSIONS[role] || [];
+// GOOD: Wildcards expand against PERMISSIONS only - a pattern that matches
+// nothing is a typo, not an empty grant
+function expandPermissionPattern(pattern, role) {
+  const known = Object.values(PERMISSIONS);
   
-  const token = jwt.sign(
+  let matches;
+  if (pattern === '*') {
+    matches = known;
+  } else if (typeof pattern === 'string' && pattern.endsWith(':*')) {
+    matches = known.filter(permission => permission.startsWith(pattern.slice(0, -1)));
+  } else {
+    matches = known.filter(permission => permission === pattern);
+  }
+  
+  if (matches.length === 0) {
+    throw new Error(`Role ${role} references undefined permission: ${pattern}`);
+  }
+  return matches;
+}
+
+// GOOD: Checked at startup - unknown keys, unknown roles, undefined
+// permissions and inheritance cycles all stop the service
+function validateRoleDefinitions(definitions) {
+  for (const [role, definition] of Object.entries(definitions)) {
+    const unknownKeys = Object.keys(definition).filter(key => !['inherits', 'grants', 'denies'].includes(key));
+    if (unknownKeys.length > 0) {
+      throw new Error(`Role ${role} has unknown keys: ${unknownKeys.join(', ')}`);
+    }
+    
+    for (const parent of definition.inherits || []) {
+      if (!Object.prototype.hasOwnProperty.call(definitions, parent)) {
+        throw new Error(`Role ${role} inherits undefined role: ${parent}`);
+      }
+    }
+    
+    for (const pattern of [...(definition.grants || []), ...(definition.denies || [])]) {
+      expandPermissionPattern(pattern, role);
+    }
+  }
+  
+  const visiting = [];
+  const done = new Set();
+  function visit(role) {
+    if (done.has(role)) {
+      return;
+    }
+    if (visiting.includes(role)) {
+      throw new Error(`Role inheritance cycle: ${[...visiting.slice(visiting.indexOf(role)), role].join(' -> ')}`);
+    }
+    
+    visiting.push(role);
+    for (const parent of definitions[role].inherits || []) {
+      visit(parent);
+    }
+    visiting.pop();
+    done.add(role);
+  }
+  Object.keys(definitions).forEach(visit);
+  
+  return true;
+}
+
+// Flattens the definitions into plain lists. Returns { roles, permissions }:
+//   roles       - role -> [role, ...every role it inherits from]
+//   permissions - role -> concrete permissions, in PERMISSIONS order
+function resolveRoleDefinitions(definitions) {
+  validateRoleDefinitions(definitions);
+  
+  const roles = {};
+  const permissions = {};
+  function resolve(role) {
+    if (!permissions[role]) {
+      const definition = definitions[role];
+      const inheritedRoles = new Set([role]);
+      const granted = new Set();
+      
+      for (const parent of definition.inherits || []) {
+        resolve(parent);
+        roles[parent].forEach(inherited => inheritedRoles.add(inherited));
+        permissions[parent].forEach(permission => granted.add(permission));
+      }
+      for (const pattern of definition.grants || []) {
+        expandPermissionPattern(pattern, role).forEach(permission => granted.add(permission));
+      }
+      // GOOD: Negative grants are applied last, so they beat wildcards
+      for (const pattern of definition.denies || []) {
+        expandPermissionPattern(pattern, role).forEach(permission => granted.delete(permission));
+      }
+      
+      roles[role] = Object.freeze(Array.from(inheritedRoles));
+      permissions[role] = Object.freeze(Object.values(PERMISSIONS).filter(permission => granted.has(permission)));
+    }
+  }
+  Object.keys(definitions).forEach(resolve);
+  
+  return { roles: Object.freeze(roles), permissions: Object.freeze(permissions) };
+}
+
+const RESOLVED_ROLES = resolveRoleDefinitions(ROLE_DEFINITIONS);
+
+// User roles and their permissions (resolved from ROLE_DEFINITIONS)
+const ROLE_PERMISSIONS = RESOLVED_ROLES.permissions;
+
+// GOOD: `hasRole(user.role, 'moderator')` is true for admins too
+function hasRole(userRole, requiredRole) {
+  const roles = Object.prototype.hasOwnProperty.call(RESOLVED_ROLES.roles, userRole)
+    ? RESOLVED_ROLES.roles[userRole]
+    : [];
+  return roles.includes(requiredRole);
+}
+
+// ============================================================================
+// Request-time permission resolution
+// ============================================================================
+
+// GOOD: Where role assignments live (the users table in a real service):
+//   getRole(userId)       -> role | null
+//   setRole(userId, role) -> notifies onRoleChange listeners
+class InMemoryRoleAssignmentStore {
+  constructor(assignments = {}) {
+    this.assignments = new Map(Object.entries(assignments));
+    this.listeners = [];
+  }
+  
+  async getRole(userId) {
+    return this.assignments.get(String(userId)) || null;
+  }
+  
+  async setRole(userId, role) {
+    if (role !== null && !Object.prototype.hasOwnProperty.call(ROLE_PERMISSIONS, role)) {
+      throw new Error(`Unknown role: ${role}`);
+    }
+    
+    if (role === null) {
+      this.assignments.delete(String(userId));
+    } else {
+      this.assignments.set(String(userId), role);
+    }
+    this.listeners.forEach(listener => listener(String(userId)));
+  }
+  
+  onRoleChange(listener) {
+    this.listeners.push(listener);
+  }
+}
+
+// GOOD: System tokens (client credentials) and API keys carry their own scopes.
+// An API key records the user who owns it in `userId`, but must never pick up
+// that user's role - a `users:read` key owned by an admin stays `users:read`.
+function isScopedCredential(claims) {
+  return !claims ||
+    claims.typ === 'system' ||
+    claims.authMethod === 'api-key' ||
+    claims.apiKeyId !== undefined ||
+    claims.userId === undefined ||
+    claims.userId === null;
+}
+
+// GOOD: Looks up the user's current role on each request, so a demotion applies
+// to tokens that are already issued. Lookups are cached per user; the cache is
+// cleared when the store reports a role change, and `ttlSeconds` bounds how long
+// a change made by another instance can go unnoticed.
+class PermissionResolver {
+  constructor({ roleStore, ttlSeconds = 60, maxEntries = 10000, now = () => Date.now() } = {}) {
+    if (!roleStore) {
+      throw new Error('PermissionResolver requires a role store');
+    }
+    this.roleStore = roleStore;
+    this.ttlMs = ttlSeconds * 1000;
+    this.maxEntries = maxEntries;
+    this.now = now;
+    this.cache = new Map();
+    
+    if (typeof roleStore.onRoleChange === 'function') {
+      roleStore.onRoleChange(userId => this.invalidate(userId));
+    }
+  }
+  
+  // Returns { role, permissions } for verified token claims.
+  // Scoped credentials keep exactly the scopes issued to them; a user token's
+  // own `permissions` claim is ignored.
+  async resolve(claims) {
+    if (isScopedCredential(claims)) {
+      return { role: null, permissions: Array.isArray(claims && claims.permissions) ? claims.permissions : [] };
+    }
+    
+    const userId = String(claims.userId);
+    const cached = this.cache.get(userId);
+    if (cached && cached.expiresAt > this.now()) {
+      return cached.access;
+    }
+    
+    // GOOD: The current assignment wins over the role the token was issued with
+    const role = await this.roleStore.getRole(userId);
+    const permissions = role && Object.prototype.hasOwnProperty.call(ROLE_PERMISSIONS, role)
+      ? ROLE_PERMISSIONS[role]
+      : [];
+    const access = Object.freeze({ role: role || null, permissions });
+    
+    this.cache.delete(userId);
+    if (this.cache.size >= this.maxEntries) {
+      this.cache.delete(this.cache.keys().next().value); // Oldest entry
+    }
+    this.cache.set(userId, { access, expiresAt: this.now() + this.ttlMs });
+    return access;
+  }
+  
+  invalidate(userId) {
+    this.cache.delete(String(userId));
+  }
+  
+  invalidateAll() {
+    this.cache.clear();
+  }
+}
+
+let defaultPermissionResolver = null;
+
+function getDefaultPermissionResolver() {
+  if (!defaultPermissionResolver) {
+    // GOOD: No silent fallback - an empty role store would answer 403 to
+    // everyone and look like a permissions bug, not missing configuration
+    throw new Error('No permission resolver configured - call setDefaultPermissionResolver() at startup');
+  }
+  return defaultPermissionResolver;
+}
+
+// Call at startup with a resolver backed by the real role store
+function setDefaultPermissionResolver(resolver) {
+  defaultPermissionResolver = resolver;
+}
+
+function secureLogin(userId, role) {
+  // GOOD: Token carries identity and a role reference only - permissions are
+  // resolved per request, so changing the role changes access immediately
+  const token = signToken(
     { 
       userId: userId, 
-      role: role,
-      permissions: permissions // Include permissions in token
+      role: role
     },
-    process.env.JWT_SECRET,
     { expiresIn: '24h' }
   );
   return token;
 }
 
 // GOOD: Authorization middleware that checks permissions
-function requirePermission(permission) {
-  return (req, res, next) => {
+// (as a policy rule: { actions, permissions } - see policy-engine.example.js)
+function requirePermission(permission, { resolver = getDefaultPermissionResolver() } = {}) {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ error: 'Not authenticated' });
     }
     
-    // GOOD: Check if user has required permission
-    const userPermissions = req.user.permissions || [];
-    if (!userPermissions.includes(permission)) {
-      return res.status(403).json({ error: 'Insufficient permissions' });
+    try {
+      // GOOD: Check the user's current permissions, not the ones at login
+      const { permissions } = await resolver.resolve(req.user);
+      if (!permissions.includes(permission)) {
+        return res.status(403).json({ error: 'Insufficient permissions' });
+      }
+      
+      next();
+    } catch (error) {
+      next(error);
     }
-    
-    next();
   };
 }
 
@@ -129,9 +378,10 @@ function secureRoutes(app) {
     secureGetAllUsers
   );
   
-  // GOOD: Different permission required
+  // GOOD: Different permission required, plus a recent second factor
   app.delete('/api/users/:id',
     requirePermission(PERMISSIONS.USERS_DELETE),
+    requireSecondFactor(),
     secureDeleteUser
   );
 }
@@ -140,10 +390,10 @@ function secureRoutes(app) {
 // Alternative: Check permissions in route handler
 // ============================================================================
 
-function secureGetAllUsersAlt(req, res) {
+async function secureGetAllUsersAlt(req, res) {
   // GOOD: Check permission inside handler
-  const userPermissions = req.user.permissions || [];
-  if (!userPermissions.includes(PERMISSIONS.USERS_READ)) {
+  const { permissions } = await getDefaultPermissionResolver().resolve(req.user);
+  if (!permissions.includes(PERMISSIONS.USERS_READ)) {
     return res.status(403).json({ error: 'Insufficient permissions' });
   }
   
@@ -152,7 +402,15 @@ function secureGetAllUsersAlt(req, res) {
 
 module.exports = {
   PERMISSIONS,
+  ROLE_DEFINITIONS,
   ROLE_PERMISSIONS,
+  validateRoleDefinitions,
+  resolveRoleDefinitions,
+  hasRole,
+  InMemoryRoleAssignmentStore,
+  PermissionResolver,
+  getDefaultPermissionResolver,
+  setDefaultPermissionResolver,
   insecureLogin,
   secureLogin,
   requirePermission,
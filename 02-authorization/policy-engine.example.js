@@ -0,0 +1,471 @@
+/**
+ * Example: Declarative Authorization Policy Engine
+ *
+ * This file demonstrates the security issue of authorization spread across
+ * near-identical guard factories (requireRole, requirePermission, requireSystem,
+ * requireSystemAndPermission...) where every new combination of conditions is
+ * new code, and shows a policy engine that evaluates declarative rules - RBAC
+ * plus attribute conditions - behind a single `authorize(action, resource)` guard,
+ * with deny-overrides and default deny.
+ */
+
+const fs = require('fs');
+const express = require('express');
+const { SYSTEMS } = require('./cross-system-access.example');
+const {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  hasRole,
+  getDefaultPermissionResolver
+} = require('./over-privileged-tokens.example');
+const { SecurityLogger } = require('../07-detection-and-logging/missing-security-logs.example');
+
+// ============================================================================
+// ❌ INSECURE: One more guard factory per combination
+// ============================================================================
+
+function insecureRequireSystemPermissionAndOwner(system, permission) {
+  // BAD: Yet another hand-written factory. Each one re-implements the 401/403
+  // handling, none of them log, and nobody can list who may do what without
+  // reading every route.
+  return (req, res, next) => {
+    if (req.user && req.user.system === system &&
+        (req.user.permissions || []).includes(permission) &&
+        req.params.id === req.user.userId) {
+      return next();
+    }
+    return res.status(403).json({ error: 'Forbidden' });
+  };
+}
+
+// ============================================================================
+// ✅ SECURE: Rules as data, one evaluator, one guard
+// ============================================================================
+
+const POLICY_EFFECTS = {
+  ALLOW: 'allow',
+  DENY: 'deny'
+};
+
+const DECISION_REASONS = {
+  ALLOWED: 'ALLOWED',
+  DENIED_BY_RULE: 'DENIED_BY_RULE',
+  NO_MATCHING_RULE: 'NO_MATCHING_RULE'
+};
+
+// Attributes available to conditions, e.g. 'user.userId', 'resource.ownerId'
+const ATTRIBUTE_ROOTS = ['user', 'system', 'resource', 'environment', 'request'];
+
+const isScalar = value => ['string', 'number', 'boolean'].includes(typeof value);
+const isId = value => (typeof value === 'string' && value !== '') || Number.isFinite(value);
+
+// GOOD: A closed set of operators - policies cannot run code.
+// A missing attribute fails every operator except `exists`, so negative
+// operators cannot fail open in allow rules.
+const CONDITION_OPERATORS = {
+  equals: (actual, expected) => isScalar(actual) && actual === expected,
+  notEquals: (actual, expected) => isScalar(actual) && actual !== expected,
+  in: (actual, expected) => isScalar(actual) && Array.isArray(expected) && expected.includes(actual),
+  notIn: (actual, expected) => isScalar(actual) && Array.isArray(expected) && !expected.includes(actual),
+  // GOOD: Ids from the URL are strings, ids in tokens are often numbers -
+  // '5' and 5 are the same user
+  sameId: (actual, expected) => isId(actual) && isId(expected) && String(actual) === String(expected),
+  contains: (actual, expected) => Array.isArray(actual) && actual.includes(expected),
+  exists: (actual, expected) => (actual !== undefined && actual !== null) === expected,
+  gte: (actual, expected) => typeof actual === 'number' && actual >= expected,
+  lte: (actual, expected) => typeof actual === 'number' && actual <= expected
+};
+
+// Policy file format (JSON, loaded once at startup):
+//
+// {
+//   "version": 1,
+//   "rules": [
+//     {
+//       "id": "unique-rule-id",
+//       "effect": "allow" | "deny",
+//       "actions": ["users:delete"],
+//       "resourceTypes": ["user"],               // optional, default: any type
+//       "roles": ["admin"],                      // optional, user has or inherits one
+//       "permissions": ["users:delete"],         // optional, user has all of them
+//       "systems": ["admin-portal"],             // optional, caller is one of them
+//       "conditions": [                          // optional, all must hold
+//         { "attribute": "resource.ownerId", "operator": "sameId",
+//           "value": { "attribute": "user.userId" } }
+//       ]
+//     }
+//   ]
+// }
+const DEFAULT_POLICY = {
+  version: 1,
+  rules: [
+    {
+      id: 'admins-list-users',
+      effect: POLICY_EFFECTS.ALLOW,
+      actions: ['users:list'],
+      roles: ['admin']
+    },
+    {
+      id: 'admin-portal-reads-users',
+      effect: POLICY_EFFECTS.ALLOW,
+      actions: ['users:read'],
+      systems: [SYSTEMS.ADMIN_PORTAL],
+      permissions: [PERMISSIONS.USERS_READ]
+    },
+    {
+      id: 'delete-users-with-permission',
+      effect: POLICY_EFFECTS.ALLOW,
+      actions: ['users:delete'],
+      resourceTypes: ['user'],
+      permissions: [PERMISSIONS.USERS_DELETE]
+    },
+    {
+      // GOOD: Deny rules win, whatever else allows the action
+      id: 'no-self-delete',
+      effect: POLICY_EFFECTS.DENY,
+      actions: ['users:delete'],
+      conditions: [
+        { attribute: 'resource.id', operator: 'sameId', value: { attribute: 'user.userId' } }
+      ]
+    },
+    {
+      id: 'no-deletes-from-mobile',
+      effect: POLICY_EFFECTS.DENY,
+      actions: ['users:delete'],
+      systems: [SYSTEMS.MOBILE_APP]
+    },
+    {
+      id: 'owners-update-own-profile',
+      effect: POLICY_EFFECTS.ALLOW,
+      actions: ['profile:update'],
+      resourceTypes: ['profile'],
+      conditions: [
+        { attribute: 'resource.ownerId', operator: 'sameId', value: { attribute: 'user.userId' } }
+      ]
+    },
+    {
+      id: 'internal-reads-config',
+      effect: POLICY_EFFECTS.ALLOW,
+      actions: ['config:read'],
+      systems: [SYSTEMS.INTERNAL]
+    },
+    {
+      id: 'no-debug-in-production',
+      effect: POLICY_EFFECTS.DENY,
+      actions: ['debug:read'],
+      conditions: [
+        { attribute: 'environment.name', operator: 'equals', value: 'production' }
+      ]
+    }
+  ]
+};
+
+// GOOD: Known keys only - `role` instead of `roles` would otherwise be
+// ignored, turning a restricted rule into one that matches everyone
+const RULE_KEYS = ['id', 'effect', 'actions', 'resourceTypes', 'roles', 'permissions', 'systems', 'conditions'];
+const CONDITION_KEYS = ['attribute', 'operator', 'value'];
+
+function assertKnownKeys(object, allowed, label) {
+  const unknownKeys = Object.keys(object).filter(key => !allowed.includes(key));
+  if (unknownKeys.length > 0) {
+    throw new Error(`${label} has unknown keys: ${unknownKeys.join(', ')}`);
+  }
+}
+
+function isAttributeReference(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    typeof value.attribute === 'string';
+}
+
+function validateAttributePath(path, ruleId) {
+  const [root, ...rest] = typeof path === 'string' ? path.split('.') : [];
+  if (!ATTRIBUTE_ROOTS.includes(root) || rest.some(part => !part || part === '__proto__')) {
+    throw new Error(`Policy rule ${ruleId} has invalid attribute: ${path}`);
+  }
+}
+
+function validateStringList(list, allowed, label, ruleId) {
+  if (list === undefined) {
+    return;
+  }
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error(`Policy rule ${ruleId} has an empty or invalid ${label} list`);
+  }
+  for (const item of list) {
+    if (allowed ? !allowed.includes(item) : (typeof item !== 'string' || !item)) {
+      throw new Error(`Policy rule ${ruleId} has unknown ${label}: ${item}`);
+    }
+  }
+}
+
+// GOOD: A typo in the policy stops the service at startup instead of
+// silently never matching (or matching everything) in production
+function validatePolicy(policy) {
+  if (!policy || policy.version !== 1 || !Array.isArray(policy.rules)) {
+    throw new Error('Policy must have version 1 and a rules array');
+  }
+
+  const ids = new Set();
+  for (const rule of policy.rules) {
+    if (!rule || typeof rule.id !== 'string' || !rule.id || ids.has(rule.id)) {
+      throw new Error(`Policy rule id missing or duplicated: ${rule && rule.id}`);
+    }
+    ids.add(rule.id);
+    assertKnownKeys(rule, RULE_KEYS, `Policy rule ${rule.id}`);
+
+    if (!Object.values(POLICY_EFFECTS).includes(rule.effect)) {
+      throw new Error(`Policy rule ${rule.id} has invalid effect: ${rule.effect}`);
+    }
+    if (rule.actions === undefined) {
+      throw new Error(`Policy rule ${rule.id} must list its actions`);
+    }
+
+    validateStringList(rule.actions, null, 'action', rule.id);
+    validateStringList(rule.resourceTypes, null, 'resource type', rule.id);
+    validateStringList(rule.roles, Object.keys(ROLE_PERMISSIONS), 'role', rule.id);
+    validateStringList(rule.permissions, Object.values(PERMISSIONS), 'permission', rule.id);
+    validateStringList(rule.systems, Object.values(SYSTEMS), 'system', rule.id);
+
+    if (rule.conditions !== undefined && !Array.isArray(rule.conditions)) {
+      throw new Error(`Policy rule ${rule.id} has an invalid conditions list`);
+    }
+
+    for (const condition of rule.conditions || []) {
+      if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+        throw new Error(`Policy rule ${rule.id} has an invalid condition`);
+      }
+      assertKnownKeys(condition, CONDITION_KEYS, `Policy rule ${rule.id} condition`);
+      validateAttributePath(condition.attribute, rule.id);
+
+      if (!Object.prototype.hasOwnProperty.call(CONDITION_OPERATORS, condition.operator)) {
+        throw new Error(`Policy rule ${rule.id} has unknown operator: ${condition.operator}`);
+      }
+      // GOOD: A condition without a value compares against undefined -
+      // `notEquals` with no value would hold for every request
+      if (condition.operator !== 'exists' && condition.value === undefined) {
+        throw new Error(`Policy rule ${rule.id}: ${condition.operator} needs a value`);
+      }
+      if (isAttributeReference(condition.value)) {
+        validateAttributePath(condition.value.attribute, rule.id);
+      } else if (['in', 'notIn'].includes(condition.operator) && !Array.isArray(condition.value)) {
+        throw new Error(`Policy rule ${rule.id}: ${condition.operator} needs an array value`);
+      } else if (condition.operator === 'exists' && typeof condition.value !== 'boolean') {
+        throw new Error(`Policy rule ${rule.id}: exists needs a boolean value`);
+      }
+    }
+  }
+
+  return true;
+}
+
+// .env:
+// AUTHZ_POLICY_FILE=/etc/app/authorization-policy.json
+function loadPolicyFromFile(path = process.env.AUTHZ_POLICY_FILE) {
+  const policy = JSON.parse(fs.readFileSync(path, 'utf8'));
+  validatePolicy(policy);
+  return policy;
+}
+
+// GOOD: Own properties only - 'user.constructor' resolves to undefined, not a function
+function resolveAttribute(context, path) {
+  let value = context;
+  for (const part of path.split('.')) {
+    if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, part)) {
+      return undefined;
+    }
+    value = value[part];
+  }
+  return value;
+}
+
+class PolicyEngine {
+  constructor(policy = DEFAULT_POLICY) {
+    validatePolicy(policy);
+    this.rules = policy.rules;
+  }
+
+  ruleMatches(rule, action, context) {
+    const user = context.user || {};
+
+    if (!rule.actions.includes(action)) {
+      return false;
+    }
+    if (rule.resourceTypes && !rule.resourceTypes.includes(context.resource && context.resource.type)) {
+      return false;
+    }
+    // Roles follow the hierarchy: a rule for moderators also matches admins
+    if (rule.roles && !rule.roles.some(role => hasRole(user.role, role))) {
+      return false;
+    }
+    if (rule.permissions) {
+      const granted = Array.isArray(user.permissions) ? user.permissions : [];
+      if (!rule.permissions.every(permission => granted.includes(permission))) {
+        return false;
+      }
+    }
+    if (rule.systems && !rule.systems.includes(context.system && context.system.name)) {
+      return false;
+    }
+
+    return (rule.conditions || []).every(condition => {
+      const expected = isAttributeReference(condition.value)
+        ? resolveAttribute(context, condition.value.attribute)
+        : condition.value;
+      // GOOD: A reference to a missing attribute never satisfies a condition
+      if (isAttributeReference(condition.value) && expected === undefined) {
+        return false;
+      }
+      const actual = resolveAttribute(context, condition.attribute);
+      if (actual === undefined && condition.operator !== 'exists') {
+        return false;
+      }
+      return CONDITION_OPERATORS[condition.operator](actual, expected);
+    });
+  }
+
+  /**
+   * Evaluate an action against the rules.
+   *
+   * Any matching deny rule wins; otherwise any matching allow rule allows;
+   * otherwise the action is denied. Returns { allowed, reason, ruleId }.
+   */
+  evaluate(action, context) {
+    const matching = this.rules.filter(rule => this.ruleMatches(rule, action, context));
+
+    const deny = matching.find(rule => rule.effect === POLICY_EFFECTS.DENY);
+    if (deny) {
+      return { allowed: false, reason: DECISION_REASONS.DENIED_BY_RULE, ruleId: deny.id };
+    }
+
+    const allow = matching.find(rule => rule.effect === POLICY_EFFECTS.ALLOW);
+    if (allow) {
+      return { allowed: true, reason: DECISION_REASONS.ALLOWED, ruleId: allow.id };
+    }
+
+    // GOOD: Default deny - no rule, no access
+    return { allowed: false, reason: DECISION_REASONS.NO_MATCHING_RULE, ruleId: null };
+  }
+}
+
+let defaultPolicyEngine = null;
+
+function getDefaultPolicyEngine() {
+  if (!defaultPolicyEngine) {
+    defaultPolicyEngine = new PolicyEngine(
+      process.env.AUTHZ_POLICY_FILE ? loadPolicyFromFile() : DEFAULT_POLICY
+    );
+  }
+  return defaultPolicyEngine;
+}
+
+function setDefaultPolicyEngine(engine) {
+  defaultPolicyEngine = engine;
+}
+
+// Everything a rule may look at - built on the server, never from request input
+// `access` is the { role, permissions } the resolver returned for this request
+function buildAuthorizationContext(req, resource, access = {}) {
+  return {
+    user: { ...req.user, ...access },
+    system: { name: req.user.system },
+    resource: resource,
+    environment: {
+      name: process.env.NODE_ENV || 'development',
+      hour: new Date().getUTCHours()
+    },
+    request: { method: req.method, path: req.path, ip: req.ip }
+  };
+}
+
+/**
+ * The one authorization guard.
+ *
+ * `resource` is a type name ('user'), an object ({ type: 'user', id }), or an
+ * async loader `(req) => resource | null` - a null resource is a 404. The
+ * loaded resource is kept on req.resource so the handler does not fetch it again.
+ */
+function authorize(action, resource, {
+  engine = getDefaultPolicyEngine(),
+  resolver = getDefaultPermissionResolver()
+} = {}) {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    try {
+      let target = resource;
+      if (typeof resource === 'function') {
+        target = await resource(req);
+        if (!target) {
+          return res.status(404).json({ error: 'Not found' });
+        }
+      } else if (typeof resource === 'string') {
+        target = { type: resource };
+      }
+
+      // GOOD: Role and permissions are the user's current ones, not the token's
+      const access = await resolver.resolve(req.user);
+      const decision = engine.evaluate(action, buildAuthorizationContext(req, target || {}, access));
+      if (!decision.allowed) {
+        SecurityLogger.logAuthorizationDenial(req, req.user.userId, action);
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      req.resource = target;
+      req.authorizationDecision = decision;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// ============================================================================
+// Express Route Examples
+// ============================================================================
+
+// ✅ SECURE Routes: `authMiddleware` sets req.user (e.g. sessionAuthMiddleware)
+function secureRoutes({ authMiddleware, engine, resolver, profiles = new Map() }) {
+  const app = express();
+  app.use(express.json({ limit: '10kb' }));
+  app.use('/api', authMiddleware);
+
+  app.get('/api/admin/users', authorize('users:list', 'user', { engine, resolver }), (req, res) => {
+    res.json({ users: [] });
+  });
+
+  // GOOD: Resource attributes come from the resource, not from the caller
+  app.delete('/api/users/:id',
+    authorize('users:delete', req => ({ type: 'user', id: req.params.id }), { engine, resolver }),
+    (req, res) => res.json({ message: 'User deleted' })
+  );
+
+  app.put('/api/profiles/:id',
+    authorize('profile:update', async req => profiles.get(req.params.id) || null, { engine, resolver }),
+    (req, res) => res.json({ message: 'Profile updated', profileId: req.resource.id })
+  );
+
+  app.get('/api/internal/config', authorize('config:read', 'config', { engine, resolver }), (req, res) => {
+    res.json({ config: {} });
+  });
+
+  return app;
+}
+
+module.exports = {
+  POLICY_EFFECTS,
+  DECISION_REASONS,
+  ATTRIBUTE_ROOTS,
+  CONDITION_OPERATORS,
+  DEFAULT_POLICY,
+  insecureRequireSystemPermissionAndOwner,
+  validatePolicy,
+  loadPolicyFromFile,
+  PolicyEngine,
+  getDefaultPolicyEngine,
+  setDefaultPolicyEngine,
+  buildAuthorizationContext,
+  authorize,
+  secureRoutes
+};
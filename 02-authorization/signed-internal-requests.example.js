@@ -0,0 +1,392 @@
+/**
+ * Example: Signed Internal Requests (HMAC) with Replay Protection
+ *
+ * This file demonstrates the security issue of internal system calls protected by
+ * a bearer token alone (a captured request can be replayed verbatim, or its body
+ * changed) and shows HMAC request signing over method, path, body digest,
+ * timestamp and nonce, verified with a clock-skew window and a nonce cache.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const { SYSTEMS, requireSystem } = require('./cross-system-access.example');
+const { SecurityLogger } = require('../07-detection-and-logging/missing-security-logs.example');
+const {
+  TOKEN_STORE_TYPES,
+  connectRedisClient,
+  getRedisClient
+} = require('../03-session-management/token-store.example');
+const { sessionAuthMiddleware, ROUTE_GROUPS } = require('../03-session-management/session-store-outage-policy.example');
+
+// ============================================================================
+// ❌ INSECURE: Bearer token alone
+// ============================================================================
+
+async function insecureInternalCall(url, token, body) {
+  // BAD: Anyone who captures this request (proxy logs, a compromised hop,
+  // a debugging dump) can send it again - the same transfer, twice - or
+  // change the body, until the token expires.
+  return fetch(url, {
+    method: 'POST',
+    headers: { authorization: `Bearer ${token}`, 'content-type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+// ============================================================================
+// ✅ SECURE: HMAC over the whole request, single-use nonces
+// ============================================================================
+
+const SIGNATURE_HEADER = 'x-request-signature';
+const SIGNATURE_VERSION = 'v1';
+
+const SIGNATURE_POLICY = {
+  maxSkewSeconds: 5 * 60, // Accept timestamps up to 5 minutes off
+  maxNonceLength: 64
+};
+
+const SIGNATURE_FAILURE = {
+  MISSING: 'SIGNATURE_MISSING',
+  MALFORMED: 'SIGNATURE_MALFORMED',
+  UNKNOWN_KEY: 'SIGNATURE_UNKNOWN_KEY',
+  STALE: 'SIGNATURE_STALE',
+  INVALID: 'SIGNATURE_INVALID',
+  REPLAYED: 'SIGNATURE_REPLAYED',
+  SYSTEM_MISMATCH: 'SIGNATURE_SYSTEM_MISMATCH'
+};
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// GOOD: Everything that gives the request its meaning is signed.
+// The Authorization header is bound too, so a signature cannot be moved to another token.
+function canonicalRequest({ method, path, body, timestamp, nonce, keyId, authorization }) {
+  return [
+    SIGNATURE_VERSION,
+    method.toUpperCase(),
+    path, // Path and query string, exactly as sent
+    String(timestamp),
+    nonce,
+    keyId,
+    sha256Hex(authorization || ''),
+    sha256Hex(body || '')
+  ].join('\n');
+}
+
+function computeSignature(secret, parts) {
+  return crypto.createHmac('sha256', secret).update(canonicalRequest(parts)).digest('base64url');
+}
+
+// GOOD: One key per calling system, several allowed during rotation
+// .env:
+// REQUEST_SIGNING_KEYS=[{"keyId":"internal-2026-01","system":"internal",
+//   "secret":"<32+ random bytes, base64>"}, ...]
+class SigningKeyring {
+  constructor(keys = []) {
+    const knownSystems = Object.values(SYSTEMS);
+    this.keys = new Map();
+
+    for (const { keyId, system, secret } of keys) {
+      const secretBytes = Buffer.from(secret || '', 'base64');
+      if (!keyId || this.keys.has(keyId)) {
+        throw new Error(`Missing or duplicate signing keyId: ${keyId}`);
+      }
+      if (!knownSystems.includes(system)) {
+        throw new Error(`Signing key ${keyId} has unknown system: ${system}`);
+      }
+      if (secretBytes.length < 32) {
+        throw new Error(`Signing key ${keyId} must be at least 32 bytes`);
+      }
+      this.keys.set(keyId, { keyId, system, secret: secretBytes });
+    }
+  }
+
+  get(keyId) {
+    return this.keys.get(keyId) || null;
+  }
+}
+
+function loadSigningKeyringFromEnv() {
+  return new SigningKeyring(JSON.parse(process.env.REQUEST_SIGNING_KEYS || '[]'));
+}
+
+// Nonce caches implement:
+//
+//   remember(key, ttlSeconds) -> true if first seen, false if already present
+
+// GOOD: In-memory cache for tests and single-process development
+class InMemoryNonceCache {
+  constructor({ now = () => Date.now() } = {}) {
+    this.now = now;
+    this.nonces = new Map(); // key -> expiresAt
+  }
+
+  async remember(key, ttlSeconds) {
+    const now = this.now();
+    for (const [nonce, expiresAt] of this.nonces) {
+      if (expiresAt <= now) {
+        this.nonces.delete(nonce);
+      }
+    }
+    if (this.nonces.has(key)) {
+      return false;
+    }
+    this.nonces.set(key, now + ttlSeconds * 1000);
+    return true;
+  }
+}
+
+// GOOD: SET NX - only one instance can accept a given nonce
+class RedisNonceCache {
+  constructor({ client = null, keyPrefix = 'request-nonce:' } = {}) {
+    this.client = client;
+    this.keyPrefix = keyPrefix;
+  }
+
+  async remember(key, ttlSeconds) {
+    const client = this.client ? await connectRedisClient(this.client) : await getRedisClient();
+    const stored = await client.set(this.keyPrefix + key, '1', { NX: true, EX: ttlSeconds });
+    return stored !== null;
+  }
+}
+
+function createNonceCache({ type = process.env.TOKEN_STORE || TOKEN_STORE_TYPES.REDIS, ...options } = {}) {
+  if (type === TOKEN_STORE_TYPES.MEMORY) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('In-memory nonce cache is not allowed in production');
+    }
+    return new InMemoryNonceCache(options);
+  }
+  return new RedisNonceCache(options);
+}
+
+// x-request-signature: keyId="...",ts="...",nonce="...",sig="..."
+function parseSignatureHeader(header) {
+  if (typeof header !== 'string' || header.length > 512) {
+    return null;
+  }
+
+  const fields = {};
+  for (const part of header.split(',')) {
+    const match = /^\s*(keyId|ts|nonce|sig)="([^"]*)"\s*$/.exec(part);
+    if (!match || fields[match[1]] !== undefined) {
+      return null;
+    }
+    fields[match[1]] = match[2];
+  }
+
+  if (!fields.keyId || !/^\d+$/.test(fields.ts || '') || !fields.nonce || !fields.sig) {
+    return null;
+  }
+  return { keyId: fields.keyId, timestamp: Number(fields.ts), nonce: fields.nonce, signature: fields.sig };
+}
+
+// ============================================================================
+// Client helper
+// ============================================================================
+
+// GOOD: Signs exactly the bytes that are sent. Returns headers to add.
+function signRequest({ method, path, body = '', authorization, keyId, secret, now = Date.now() }) {
+  const timestamp = Math.floor(now / 1000);
+  const nonce = crypto.randomBytes(16).toString('base64url');
+  const signature = computeSignature(Buffer.from(secret, 'base64'), {
+    method, path, body, timestamp, nonce, keyId, authorization
+  });
+
+  return {
+    [SIGNATURE_HEADER]: `keyId="${keyId}",ts="${timestamp}",nonce="${nonce}",sig="${signature}"`
+  };
+}
+
+// GOOD: Outbound calls go through one wrapper, so nothing is sent unsigned
+// .env (in the calling service):
+// REQUEST_SIGNING_KEY_ID=internal-2026-01
+// REQUEST_SIGNING_SECRET=<base64, from the secret manager>
+function createSignedFetch({
+  keyId = process.env.REQUEST_SIGNING_KEY_ID,
+  secret = process.env.REQUEST_SIGNING_SECRET,
+  getToken
+} = {}) {
+  return async function signedFetch(url, { method = 'GET', body, headers = {} } = {}) {
+    const target = new URL(url);
+    const payload = body === undefined || typeof body === 'string' ? body : JSON.stringify(body);
+
+    // GOOD: Headers are settled before signing, so the signature covers the
+    // authorization header that is actually sent - from getToken() or passed
+    // in by the caller, in any letter case
+    const sent = new Headers(headers);
+    if (payload !== undefined && typeof body !== 'string' && !sent.has('content-type')) {
+      sent.set('content-type', 'application/json');
+    }
+    if (getToken) {
+      sent.set('authorization', `Bearer ${await getToken()}`);
+    }
+
+    const signatureHeaders = signRequest({
+      method,
+      path: target.pathname + target.search,
+      body: payload,
+      authorization: sent.get('authorization') ?? undefined,
+      keyId,
+      secret
+    });
+    for (const [name, value] of Object.entries(signatureHeaders)) {
+      sent.set(name, value);
+    }
+
+    return fetch(target, {
+      method,
+      body: payload,
+      headers: sent,
+      signal: AbortSignal.timeout(5000)
+    });
+  };
+}
+
+// ============================================================================
+// Verification middleware
+// ============================================================================
+
+// Body parser that keeps the exact bytes for the digest
+function rawBodyJsonParser(options = {}) {
+  return express.json({
+    limit: '100kb',
+    ...options,
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  });
+}
+
+// ✅ SECURE Middleware. Mount after rawBodyJsonParser() and, when bearer
+// tokens are also used, after the auth middleware.
+function requireSignedRequest({
+  keyring = loadSigningKeyringFromEnv(),
+  nonceCache = createNonceCache(),
+  policy = SIGNATURE_POLICY,
+  now = () => Date.now()
+} = {}) {
+  function reject(req, res, reason) {
+    SecurityLogger.logAuthFailure(req, reason);
+    return res.status(401).json({ error: 'Invalid request signature' });
+  }
+
+  return async (req, res, next) => {
+    const header = req.headers[SIGNATURE_HEADER];
+    if (!header) {
+      return reject(req, res, SIGNATURE_FAILURE.MISSING);
+    }
+
+    const parsed = parseSignatureHeader(header);
+    if (!parsed || parsed.nonce.length > policy.maxNonceLength) {
+      return reject(req, res, SIGNATURE_FAILURE.MALFORMED);
+    }
+
+    const key = keyring.get(parsed.keyId);
+    if (!key) {
+      return reject(req, res, SIGNATURE_FAILURE.UNKNOWN_KEY);
+    }
+
+    // GOOD: Old (or future-dated) requests are rejected outright -
+    // the nonce cache only has to remember the skew window
+    if (Math.abs(Math.floor(now() / 1000) - parsed.timestamp) > policy.maxSkewSeconds) {
+      return reject(req, res, SIGNATURE_FAILURE.STALE);
+    }
+
+    const expected = Buffer.from(computeSignature(key.secret, {
+      method: req.method,
+      path: req.originalUrl,
+      body: req.rawBody,
+      timestamp: parsed.timestamp,
+      nonce: parsed.nonce,
+      keyId: parsed.keyId,
+      authorization: req.headers.authorization
+    }));
+    const actual = Buffer.from(parsed.signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return reject(req, res, SIGNATURE_FAILURE.INVALID);
+    }
+
+    // GOOD: Nonce is recorded only after the signature checks out, so
+    // unsigned junk cannot fill the cache or burn real nonces
+    let fresh;
+    try {
+      fresh = await nonceCache.remember(
+        `${parsed.keyId}:${parsed.nonce}`,
+        policy.maxSkewSeconds * 2
+      );
+    } catch (error) {
+      // GOOD: Without the nonce cache a replay cannot be ruled out - fail
+      // closed, but as an outage the caller retries, not as a bad signature
+      SecurityLogger.logDegradation(req, 'nonce-cache', {
+        event: 'NONCE_CHECK_FAILED',
+        keyId: parsed.keyId,
+        error: error.message
+      });
+      res.set('Retry-After', '5');
+      return res.status(503).json({ error: 'Request verification temporarily unavailable' });
+    }
+    if (!fresh) {
+      SecurityLogger.logSuspiciousActivity(req, SIGNATURE_FAILURE.REPLAYED, {
+        keyId: parsed.keyId,
+        system: key.system,
+        timestamp: parsed.timestamp
+      });
+      return res.status(401).json({ error: 'Invalid request signature' });
+    }
+
+    // GOOD: A token for one system cannot ride on another system's signature
+    if (req.user && req.user.system && req.user.system !== key.system) {
+      SecurityLogger.logSuspiciousActivity(req, SIGNATURE_FAILURE.SYSTEM_MISMATCH, {
+        keyId: parsed.keyId,
+        signingSystem: key.system,
+        tokenSystem: req.user.system
+      });
+      return res.status(403).json({ error: 'System not authorized' });
+    }
+
+    req.signedBy = { keyId: key.keyId, system: key.system };
+    next();
+  };
+}
+
+// ============================================================================
+// Express Route Examples
+// ============================================================================
+
+// ✅ SECURE Routes: token AND signature. Either one alone is not enough.
+function secureRoutes(signatureOptions = {}) {
+  const app = express();
+  app.use(rawBodyJsonParser());
+
+  app.post('/api/internal/transfers',
+    sessionAuthMiddleware(ROUTE_GROUPS.WRITE),
+    requireSignedRequest(signatureOptions),
+    requireSystem(SYSTEMS.INTERNAL),
+    (req, res) => {
+      return res.json({ accepted: true, signedBy: req.signedBy.keyId });
+    }
+  );
+
+  return app;
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  SIGNATURE_POLICY,
+  SIGNATURE_FAILURE,
+  insecureInternalCall,
+  canonicalRequest,
+  SigningKeyring,
+  loadSigningKeyringFromEnv,
+  InMemoryNonceCache,
+  RedisNonceCache,
+  createNonceCache,
+  parseSignatureHeader,
+  signRequest,
+  createSignedFetch,
+  rawBodyJsonParser,
+  requireSignedRequest,
+  secureRoutes
+};
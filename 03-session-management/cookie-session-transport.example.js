@@ -0,0 +1,244 @@
+/**
+ * Example: Cookie Session Transport with CSRF Protection
+ *
+ * This file demonstrates the security issue of browser clients keeping access
+ * tokens in JavaScript-accessible storage (because the API only reads the
+ * Authorization header) and shows an alternative transport: HttpOnly, Secure,
+ * SameSite cookies set on login, read by the auth middlewares, and paired with
+ * a signed double-submit CSRF token on state-changing requests.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const { TOKEN_TRANSPORTS, decodeIssuedToken } = require('../01-authentication/hardened-token-verification.example');
+const { SecurityLogger } = require('../07-detection-and-logging/missing-security-logs.example');
+const { secureLoginRoute } = require('../01-authentication/password-credentials.example');
+const { sessionAuthMiddleware, ROUTE_GROUPS } = require('./session-store-outage-policy.example');
+const { markSessionLoggedOut } = require('./session-keying.example');
+
+// ============================================================================
+// ❌ INSECURE: Token handed to browser JavaScript
+// ============================================================================
+
+function insecureBrowserLogin(req, res, token) {
+  // BAD: The frontend stores this in localStorage and adds it to every call.
+  // Any XSS - or any compromised third-party script - can read and exfiltrate it.
+  return res.json({ token: token });
+}
+
+function insecureCookieLogin(req, res, token) {
+  // BAD: A cookie readable by JavaScript, sent cross-site, over plain HTTP,
+  // and accepted on POST without any CSRF check
+  res.cookie('token', token);
+  return res.json({ message: 'Logged in' });
+}
+
+// ============================================================================
+// ✅ SECURE: HttpOnly cookie + signed double-submit CSRF token
+// ============================================================================
+
+// GOOD: __Host- prefix - the browser only accepts it with Secure, Path=/ and
+// no Domain, so a sibling subdomain cannot set or overwrite it
+const SESSION_COOKIE = '__Host-session';
+const CSRF_COOKIE = '__Host-csrf';
+const CSRF_HEADER = 'x-csrf-token';
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const CSRF_FAILURE = {
+  MISSING: 'CSRF_TOKEN_MISSING',
+  MISMATCH: 'CSRF_TOKEN_MISMATCH',
+  INVALID: 'CSRF_TOKEN_INVALID'
+};
+
+function sessionCookieOptions(maxAgeSeconds) {
+  return {
+    httpOnly: true, // GOOD: Not readable from JavaScript
+    secure: true, // GOOD: Never sent over plain HTTP
+    sameSite: 'strict', // GOOD: Not sent on cross-site requests
+    path: '/',
+    maxAge: maxAgeSeconds * 1000
+  };
+}
+
+function csrfCookieOptions(maxAgeSeconds) {
+  // Readable by the frontend, which copies it into the X-CSRF-Token header
+  return { ...sessionCookieOptions(maxAgeSeconds), httpOnly: false };
+}
+
+// Returns the value of one cookie from the Cookie header, or null
+function readCookie(req, name) {
+  const header = req.headers.cookie;
+  if (typeof header !== 'string') {
+    return null;
+  }
+
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index !== -1 && part.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(index + 1).trim());
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Where the access token comes from: the Authorization header when present
+ * (API and mobile clients), otherwise the session cookie (browsers).
+ * Returns { token, transport }; token is null when neither is present.
+ */
+function readAccessToken(req) {
+  if (req.headers.authorization) {
+    return { token: req.headers.authorization.split(' ')[1] || null, transport: TOKEN_TRANSPORTS.HEADER };
+  }
+  return { token: readCookie(req, SESSION_COOKIE), transport: TOKEN_TRANSPORTS.COOKIE };
+}
+
+function getCsrfSecret() {
+  const secret = process.env.CSRF_SECRET;
+  if (!secret || Buffer.byteLength(secret) < 32) {
+    throw new Error('CSRF_SECRET must be set and at least 32 bytes');
+  }
+  return secret;
+}
+
+function csrfSignature(sessionJti, nonce) {
+  return crypto.createHmac('sha256', getCsrfSecret()).update(`${sessionJti}.${nonce}`).digest('base64url');
+}
+
+// GOOD: Signed double-submit - the CSRF token is bound to this session, so a
+// cookie planted by an attacker (or left from another session) does not verify
+function createCsrfToken(sessionJti) {
+  const nonce = crypto.randomBytes(16).toString('base64url');
+  return `${nonce}.${csrfSignature(sessionJti, nonce)}`;
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Checks the CSRF token for a verified token.
+ * Header transport and safe methods pass through. Returns { ok } or { ok: false, reason }.
+ */
+function enforceCsrf(req, claims, transport) {
+  // GOOD: Browsers never attach an Authorization header on their own, so only
+  // cookie-carried tokens can be abused cross-site
+  if (transport !== TOKEN_TRANSPORTS.COOKIE || SAFE_METHODS.includes(req.method)) {
+    return { ok: true };
+  }
+
+  const headerToken = req.headers[CSRF_HEADER];
+  const cookieToken = readCookie(req, CSRF_COOKIE);
+  if (typeof headerToken !== 'string' || !cookieToken) {
+    return { ok: false, reason: CSRF_FAILURE.MISSING };
+  }
+
+  if (!safeEqual(headerToken, cookieToken)) {
+    return { ok: false, reason: CSRF_FAILURE.MISMATCH };
+  }
+
+  const [nonce, signature] = cookieToken.split('.');
+  if (!nonce || !signature || !safeEqual(signature, csrfSignature(claims.jti, nonce))) {
+    return { ok: false, reason: CSRF_FAILURE.INVALID };
+  }
+
+  return { ok: true };
+}
+
+function sendCsrfError(req, res, reason) {
+  SecurityLogger.logSuspiciousActivity(req, reason, { method: req.method, path: req.path });
+  return res.status(403).json({ error: 'Invalid CSRF token' });
+}
+
+// The `csrf` option of the auth middlewares (see tokenTransportOptions)
+async function csrfCheck(req, res, { claims, transport }) {
+  const result = enforceCsrf(req, claims, transport);
+  if (!result.ok) {
+    sendCsrfError(req, res, result.reason);
+    return false;
+  }
+  return true;
+}
+
+// GOOD: Pass to an auth middleware to accept the session cookie - the cookie
+// reader and the CSRF check always come together
+const COOKIE_TRANSPORT_OPTIONS = Object.freeze({ readToken: readAccessToken, csrf: csrfCheck });
+
+// GOOD: Session cookie and CSRF cookie always set and cleared together
+function setSessionCookies(res, token) {
+  const claims = decodeIssuedToken(token);
+  const maxAgeSeconds = Math.max(0, claims.exp - Math.floor(Date.now() / 1000));
+
+  res.cookie(SESSION_COOKIE, token, sessionCookieOptions(maxAgeSeconds));
+  res.cookie(CSRF_COOKIE, createCsrfToken(claims.jti), csrfCookieOptions(maxAgeSeconds));
+}
+
+function clearSessionCookies(res) {
+  const { maxAge, ...options } = sessionCookieOptions(0);
+  res.clearCookie(SESSION_COOKIE, options);
+  res.clearCookie(CSRF_COOKIE, { ...options, httpOnly: false });
+}
+
+// ============================================================================
+// Express Route Examples
+// ============================================================================
+
+// ✅ SECURE Routes for browser clients. `issueToken(user)` returns a signed
+// access token (registered in the session store); it never reaches the body.
+function secureRoutes(credentialVerifier, issueToken, { failureTracker } = {}) {
+  const app = express();
+  app.use(express.json({ limit: '10kb' }));
+
+  app.post('/api/browser/login', (req, res) => secureLoginRoute(
+    credentialVerifier,
+    async user => {
+      setSessionCookies(res, await issueToken(user));
+      return { authenticated: true };
+    },
+    failureTracker
+  )(req, res));
+
+  // GOOD: Same middleware as every other route, with the cookie transport switched on
+  app.post('/api/browser/logout', sessionAuthMiddleware(ROUTE_GROUPS.WRITE, COOKIE_TRANSPORT_OPTIONS), async (req, res) => {
+    await markSessionLoggedOut(req.user);
+    clearSessionCookies(res);
+    return res.json({ message: 'Logged out' });
+  });
+
+  app.get('/api/profile', sessionAuthMiddleware(ROUTE_GROUPS.READ, COOKIE_TRANSPORT_OPTIONS), (req, res) => {
+    res.json({ userId: req.user.userId });
+  });
+
+  app.put('/api/profile', sessionAuthMiddleware(ROUTE_GROUPS.WRITE, COOKIE_TRANSPORT_OPTIONS), (req, res) => {
+    res.json({ message: 'Profile updated' });
+  });
+
+  return app;
+}
+
+module.exports = {
+  TOKEN_TRANSPORTS,
+  SESSION_COOKIE,
+  CSRF_COOKIE,
+  CSRF_HEADER,
+  CSRF_FAILURE,
+  insecureBrowserLogin,
+  insecureCookieLogin,
+  readCookie,
+  readAccessToken,
+  createCsrfToken,
+  enforceCsrf,
+  sendCsrfError,
+  csrfCheck,
+  COOKIE_TRANSPORT_OPTIONS,
+  setSessionCookies,
+  clearSessionCookies,
+  secureRoutes
+};
@@ -0,0 +1,218 @@
+/**
+ * Example: Idle Timeout and Sliding Sessions
+ *
+ * This file demonstrates the security issue of sessions that only have a fixed
+ * expiry (an abandoned session stays usable for its whole lifetime) and shows
+ * how to combine a server-side idle timeout with an absolute lifetime cap.
+ */
+
+const {
+  TOKEN_FAILURE,
+  signToken
+} = require('../01-authentication/hardened-token-verification.example');
+const { SecurityLogger } = require('../07-detection-and-logging/missing-security-logs.example');
+const { getDefaultTokenStore, withStoreTimeout } = require('./token-store.example');
+
+// ============================================================================
+// ❌ INSECURE: Fixed expiry only
+// ============================================================================
+
+function insecureGenerateToken(userId) {
+  // BAD: 24 hours, whether the user is active or walked away from a
+  // shared computer five minutes after logging in
+  return signToken({ userId: userId }, { expiresIn: '24h' });
+}
+
+async function insecureSlidingSession(session, ttlSeconds = 86400) {
+  // BAD: Sliding with no cap - a session kept busy (by the user or by an
+  // attacker replaying it) never expires
+  return getDefaultTokenStore().touch(
+    session.sessionId,
+    { lastSeenAt: Date.now() },
+    ttlSeconds
+  );
+}
+
+// ============================================================================
+// ✅ SECURE: Idle timeout + absolute lifetime
+// ============================================================================
+
+const DEFAULT_SESSION_LIFETIME = {
+  idleTimeoutSeconds: 15 * 60, // 15 minutes without a request
+  absoluteLifetimeSeconds: 8 * 60 * 60, // 8 hours, however active
+  touchIntervalSeconds: 60 // Write last-seen at most once a minute
+};
+
+function validateSessionLifetime(lifetime) {
+  const { idleTimeoutSeconds, absoluteLifetimeSeconds, touchIntervalSeconds } = lifetime;
+
+  for (const [name, value] of Object.entries(lifetime)) {
+    if (!Number.isInteger(value) || value <= 0) {
+      throw new Error(`${name} must be a positive number of seconds`);
+    }
+  }
+  if (idleTimeoutSeconds > absoluteLifetimeSeconds) {
+    throw new Error('Idle timeout cannot be longer than the absolute lifetime');
+  }
+  if (touchIntervalSeconds >= idleTimeoutSeconds) {
+    throw new Error('Touch interval must be shorter than the idle timeout');
+  }
+
+  return lifetime;
+}
+
+// GOOD: Timeouts come from configuration, checked on startup
+// .env:
+// SESSION_IDLE_TIMEOUT_SECONDS=900
+// SESSION_ABSOLUTE_LIFETIME_SECONDS=28800
+// SESSION_TOUCH_INTERVAL_SECONDS=60
+function loadSessionLifetimeFromEnv() {
+  const fromEnv = (name, fallback) =>
+    process.env[name] === undefined ? fallback : Number(process.env[name]);
+
+  return validateSessionLifetime({
+    idleTimeoutSeconds: fromEnv(
+      'SESSION_IDLE_TIMEOUT_SECONDS',
+      DEFAULT_SESSION_LIFETIME.idleTimeoutSeconds
+    ),
+    absoluteLifetimeSeconds: fromEnv(
+      'SESSION_ABSOLUTE_LIFETIME_SECONDS',
+      DEFAULT_SESSION_LIFETIME.absoluteLifetimeSeconds
+    ),
+    touchIntervalSeconds: fromEnv(
+      'SESSION_TOUCH_INTERVAL_SECONDS',
+      DEFAULT_SESSION_LIFETIME.touchIntervalSeconds
+    )
+  });
+}
+
+let sessionLifetime = null;
+
+function getSessionLifetime() {
+  if (!sessionLifetime) {
+    sessionLifetime = loadSessionLifetimeFromEnv();
+  }
+  return sessionLifetime;
+}
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+// GOOD: Token exp is the absolute cap; idleness is tracked server-side
+function secureGenerateToken(userId, extraClaims = {}) {
+  return signToken(
+    { userId: userId, ...extraClaims },
+    { expiresIn: getSessionLifetime().absoluteLifetimeSeconds }
+  );
+}
+
+// GOOD: Timestamps a new session record needs (from verified claims).
+// The absolute cap is the earlier of the token exp and iat + lifetime.
+function initialSessionTiming(claims, now = nowSeconds()) {
+  const lifetime = getSessionLifetime();
+  const absoluteExpiresAt = Math.min(
+    claims.exp,
+    (claims.iat || now) + lifetime.absoluteLifetimeSeconds
+  );
+
+  return {
+    lastSeenAt: now,
+    absoluteExpiresAt: absoluteExpiresAt,
+    ttlSeconds: Math.min(lifetime.idleTimeoutSeconds, absoluteExpiresAt - now)
+  };
+}
+
+// GOOD: Decide purely from the stored record - no side effects
+function evaluateSessionActivity(session, now = nowSeconds()) {
+  const lifetime = getSessionLifetime();
+
+  if (session.absoluteExpiresAt && now >= session.absoluteExpiresAt) {
+    return { ok: false, reason: TOKEN_FAILURE.EXPIRED, detail: 'absolute' };
+  }
+
+  // GOOD: Records without last-seen cannot be idle-checked - reject them
+  if (typeof session.lastSeenAt !== 'number') {
+    return { ok: false, reason: TOKEN_FAILURE.IDLE_TIMEOUT };
+  }
+
+  if (now - session.lastSeenAt > lifetime.idleTimeoutSeconds) {
+    return { ok: false, reason: TOKEN_FAILURE.IDLE_TIMEOUT };
+  }
+
+  return { ok: true };
+}
+
+// GOOD: Reject idle/over-age sessions, otherwise slide the idle window.
+// The new TTL never reaches past the absolute cap. Store writes are
+// bounded by the same timeout as session lookups.
+async function enforceSessionActivity(session, { degraded = false, req = {} } = {}) {
+  const now = nowSeconds();
+  const activity = evaluateSessionActivity(session, now);
+  const store = getDefaultTokenStore();
+
+  if (!activity.ok) {
+    if (!degraded) {
+      try {
+        await withStoreTimeout(store.revoke(session.sessionId));
+      } catch (error) {
+        // GOOD: The session is rejected either way - the record expires
+        // on its own TTL if the cleanup write did not land
+        SecurityLogger.logDegradation(req, 'session-store', {
+          event: 'REVOKE_FAILED',
+          sessionId: session.sessionId,
+          error: error.message
+        });
+      }
+    }
+    return activity;
+  }
+
+  // Served from the outage cache - nothing to write to
+  if (degraded) {
+    return activity;
+  }
+
+  const lifetime = getSessionLifetime();
+  if (now - session.lastSeenAt < lifetime.touchIntervalSeconds) {
+    return activity; // Touched recently - skip the write
+  }
+
+  const ttlSeconds = Math.min(
+    lifetime.idleTimeoutSeconds,
+    session.absoluteExpiresAt - now
+  );
+
+  try {
+    const touched = await withStoreTimeout(
+      store.touch(session.sessionId, { lastSeenAt: now }, ttlSeconds)
+    );
+    if (!touched) {
+      // Revoked between lookup and touch
+      return { ok: false, reason: TOKEN_FAILURE.REVOKED };
+    }
+  } catch (error) {
+    // GOOD: A failed touch shortens the session, it never extends it -
+    // the request that was already validated can proceed
+    SecurityLogger.logDegradation(req, 'session-store', {
+      event: 'TOUCH_FAILED',
+      sessionId: session.sessionId,
+      error: error.message
+    });
+  }
+
+  return activity;
+}
+
+module.exports = {
+  DEFAULT_SESSION_LIFETIME,
+  insecureGenerateToken,
+  insecureSlidingSession,
+  validateSessionLifetime,
+  loadSessionLifetimeFromEnv,
+  getSessionLifetime,
+  secureGenerateToken,
+  initialSessionTiming,
+  evaluateSessionActivity,
+  enforceSessionActivity
+};
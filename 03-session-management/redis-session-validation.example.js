@@ -6,13 +6,24 @@
  */
 
 const jwt = require('jsonwebtoken');
-const redis = require('redis');
-
-// Initialize Redis client
-const redisClient = redis.createClient({
-  host: process.env.REDIS_HOST || 'localhost',
-  port: process.env.REDIS_PORT || 6379
-});
+const {
+  TOKEN_FAILURE,
+  signToken,
+  verifyToken
+} = require('../01-authentication/hardened-token-verification.example');
+const { rotateRefreshToken } = require('./refresh-token-rotation.example');
+const {
+  SESSION_STATUS,
+  registerSessionForToken,
+  revokeSession,
+  markSessionLoggedOut
+} = require('./session-keying.example');
+const { getRedisClient } = require('./token-store.example');
+const { lookupSession } = require('./session-store-outage-policy.example');
+const {
+  getSessionLifetime,
+  enforceSessionActivity
+} = require('./idle-session-timeout.example');
 
 // ============================================================================
 // ❌ INSECURE: Token validation without Redis check
@@ -51,49 +62,57 @@ function insecureLogout(token) {
 // ============================================================================
 
 async function secureLogin(userId) {
-  // GOOD: Generate token
-  const token = jwt.sign(
+  // GOOD: Generate token - exp is the absolute session lifetime
+  const token = signToken(
     { userId: userId },
-    process.env.JWT_SECRET,
-    { expiresIn: '24h' }
+    { expiresIn: getSessionLifetime().absoluteLifetimeSeconds }
   );
   
-  // GOOD: Register token in Redis with same expiry as JWT
-  const tokenKey = `token:${token}`;
-  await redisClient.setex(tokenKey, 86400, 'valid'); // 24 hours in seconds
+  // GOOD: Register session in Redis; its TTL is the idle timeout.
+  // Keyed by SHA-256(jti) - the token itself is never stored.
+  await registerSessionForToken(token);
   
   return token;
 }
 
-async function secureVerifyToken(token) {
-  try {
-    // GOOD: First verify JWT signature and expiry
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // GOOD: Then check if token exists in Redis (was actually issued)
-    const tokenKey = `token:${token}`;
-    const tokenStatus = await redisClient.get(tokenKey);
-    
-    if (!tokenStatus) {
-      // Token was never issued, was logged out, or expired in Redis
-      return null;
-    }
-    
-    return decoded;
-  } catch (error) {
-    if (error.name === 'TokenExpiredError') {
-      // Also clean up expired tokens from Redis
-      const tokenKey = `token:${token}`;
-      await redisClient.del(tokenKey);
-    }
-    return null;
+async function secureVerifyToken(token, { routeGroup, req } = {}) {
+  // GOOD: First verify JWT signature, expiry and claims
+  // (Expired sessions are dropped by their Redis TTL.)
+  const result = verifyToken(token);
+  if (!result.ok) {
+    return result;
+  }
+  
+  // GOOD: Then check if the session exists in Redis (was actually issued).
+  // If Redis is down, the route group's outage policy decides - explicitly.
+  const lookup = await lookupSession(result.claims.jti, { routeGroup, req });
+  if (!lookup.ok) {
+    return lookup; // TOKEN_FAILURE.STORE_UNAVAILABLE
+  }
+  
+  const session = lookup.session;
+  if (!session || session.status !== SESSION_STATUS.ACTIVE) {
+    // Token was never issued, was logged out, or expired in Redis
+    return { ok: false, reason: TOKEN_FAILURE.REVOKED };
   }
+  
+  // GOOD: Reject sessions idle for too long or past their absolute
+  // lifetime; otherwise slide the idle window
+  const activity = await enforceSessionActivity(session, { degraded: lookup.degraded, req });
+  if (!activity.ok) {
+    return activity;
+  }
+  
+  return result;
 }
 
 async function secureLogout(token) {
-  // GOOD: Remove token from Redis to invalidate it
-  const tokenKey = `token:${token}`;
-  await redisClient.del(tokenKey);
+  // GOOD: Remove the session from Redis to invalidate it.
+  // Only a verified token can end its own session.
+  const result = verifyToken(token);
+  if (result.ok) {
+    await revokeSession(result.claims);
+  }
   
   return { message: 'Logged out successfully' };
 }
@@ -125,12 +144,16 @@ async function secureAuthMiddleware(req, res, next) {
     return res.status(401).json({ error: 'No token provided' });
   }
   
-  const decoded = await secureVerifyToken(token);
-  if (!decoded) {
+  const result = await secureVerifyToken(token, { req });
+  if (!result.ok) {
+    if (result.reason === TOKEN_FAILURE.STORE_UNAVAILABLE) {
+      // GOOD: Session store outage is reported as such, not as a bad token
+      return res.status(503).json({ error: 'Authentication temporarily unavailable' });
+    }
     return res.status(401).json({ error: 'Invalid, expired, or unknown token' });
   }
   
-  req.user = decoded;
+  req.user = result.claims;
   next();
 }
 
@@ -140,26 +163,15 @@ async function secureAuthMiddleware(req, res, next) {
 
 async function secureLogoutWithExpiredTracking(token) {
   try {
-    // Decode token to get expiry
-    const decoded = jwt.decode(token);
-    if (!decoded || !decoded.exp) {
-      await redisClient.del(`token:${token}`);
+    const result = verifyToken(token);
+    if (!result.ok) {
+      // Expired or forged - there is no live session to end
       return { message: 'Logged out' };
     }
     
-    // Calculate remaining TTL
-    const now = Math.floor(Date.now() / 1000);
-    const remainingTTL = decoded.exp - now;
-    
-    if (remainingTTL > 0) {
-      // GOOD: Mark token as logged out, keep until JWT expires
-      // This prevents reuse even if JWT hasn't expired yet
-      const tokenKey = `token:${token}`;
-      await redisClient.setex(tokenKey, remainingTTL, 'logged-out');
-    } else {
-      // Token already expired, just remove it
-      await redisClient.del(`token:${token}`);
-    }
+    // GOOD: Mark session as logged out, keep until JWT expires
+    // This prevents reuse even if JWT hasn't expired yet
+    await markSessionLoggedOut(result.claims);
     
     return { message: 'Logged out successfully' };
   } catch (error) {
@@ -167,57 +179,37 @@ async function secureLogoutWithExpiredTracking(token) {
   }
 }
 
-async function secureVerifyTokenWithLogoutCheck(token) {
-  try {
-    // Verify JWT signature and expiry
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Check Redis for token status
-    const tokenKey = `token:${token}`;
-    const tokenStatus = await redisClient.get(tokenKey);
-    
-    if (!tokenStatus) {
-      // Token was never issued or already expired
-      return null;
-    }
-    
-    if (tokenStatus === 'logged-out') {
-      // GOOD: Token was logged out but JWT hasn't expired yet
-      // Reject it anyway
-      return null;
-    }
-    
-    return decoded;
-  } catch (error) {
-    if (error.name === 'TokenExpiredError') {
-      // Clean up expired tokens
-      const tokenKey = `token:${token}`;
-      await redisClient.del(tokenKey);
-    }
-    return null;
-  }
+async function secureVerifyTokenWithLogoutCheck(token, { routeGroup, req } = {}) {
+  // GOOD: Same checks as secureVerifyToken - a LOGGED_OUT marker (or any
+  // other non-ACTIVE status) is rejected even though the JWT hasn't
+  // expired yet, and idle/absolute limits still apply. A second copy of
+  // these checks would drift from the first.
+  return secureVerifyToken(token, { routeGroup, req });
 }
 
 // ============================================================================
 // Token Refresh Example
 // ============================================================================
 
-async function secureRefreshToken(oldToken) {
+// BAD: Exchanging an access token for a new one means a stolen token
+// can be refreshed forever. Kept only to show the pattern to avoid.
+async function insecureRefreshToken(oldToken) {
   // Verify old token is valid
-  const decoded = await secureVerifyToken(oldToken);
-  if (!decoded) {
+  const result = await secureVerifyToken(oldToken);
+  if (!result.ok) {
     throw new Error('Invalid token');
   }
   
   // Generate new token
   const newToken = jwt.sign(
-    { userId: decoded.userId },
+    { userId: result.claims.userId },
     process.env.JWT_SECRET,
     { expiresIn: '24h' }
   );
   
   // Register new token
-  await redisClient.setex(`token:${newToken}`, 86400, 'valid');
+  const redisClient = await getRedisClient();
+  await redisClient.set(`token:${newToken}`, 'valid', { EX: 86400 });
   
   // Invalidate old token
   await redisClient.del(`token:${oldToken}`);
@@ -225,6 +217,18 @@ async function secureRefreshToken(oldToken) {
   return newToken;
 }
 
+// GOOD: Refresh with a separate, rotating refresh token.
+// Reusing an already-rotated refresh token revokes the whole family.
+// See refresh-token-rotation.example.js
+async function secureRefreshToken(refreshToken, req) {
+  const tokens = await rotateRefreshToken(refreshToken, req);
+  if (!tokens) {
+    throw new Error('Invalid refresh token');
+  }
+  
+  return tokens; // { accessToken, refreshToken }
+}
+
 module.exports = {
   insecureLogin,
   insecureVerifyToken,
@@ -236,5 +240,6 @@ module.exports = {
   secureAuthMiddleware,
   secureLogoutWithExpiredTracking,
   secureVerifyTokenWithLogoutCheck,
+  insecureRefreshToken,
   secureRefreshToken
 };
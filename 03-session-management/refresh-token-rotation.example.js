@@ -0,0 +1,388 @@
+/**
+ * Example: Refresh Token Rotation with Reuse Detection
+ *
+ * This file demonstrates the security issue of refreshing access tokens with the
+ * access token itself (a stolen token can be refreshed forever) and shows how to
+ * use rotating refresh tokens grouped into families with reuse detection.
+ */
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const {
+  TOKEN_FAILURE,
+  signToken,
+  verifyToken,
+  decodeIssuedToken
+} = require('../01-authentication/hardened-token-verification.example');
+const { SecurityLogger } = require('../07-detection-and-logging/missing-security-logs.example');
+const {
+  SESSION_STATUS,
+  registerSession,
+  revokeSession
+} = require('./session-keying.example');
+const { getRedisClient } = require('./token-store.example');
+const {
+  lookupSession,
+  getDefaultSessionStoreGuard
+} = require('./session-store-outage-policy.example');
+
+// ============================================================================
+// ❌ INSECURE: Access token used to refresh itself
+// ============================================================================
+
+async function insecureRefreshToken(oldAccessToken) {
+  try {
+    // BAD: Any valid access token can be exchanged for a new one
+    const decoded = jwt.verify(oldAccessToken, process.env.JWT_SECRET);
+
+    // BAD: New 24h token, no limit on how often this can happen
+    return jwt.sign(
+      { userId: decoded.userId },
+      process.env.JWT_SECRET,
+      { expiresIn: '24h' }
+    );
+  } catch (error) {
+    return null;
+  }
+}
+
+// ============================================================================
+// ✅ SECURE: Rotating refresh tokens in families
+// ============================================================================
+
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60; // 15 minutes
+const REFRESH_TOKEN_TTL_SECONDS = 7 * 24 * 60 * 60; // 7 days, per token
+const FAMILY_MAX_LIFETIME_SECONDS = 30 * 24 * 60 * 60; // 30 days, absolute
+
+// GOOD: Only a hash of the refresh token is ever stored
+function hashRefreshToken(refreshToken) {
+  return crypto.createHash('sha256').update(refreshToken).digest('hex');
+}
+
+function refreshKey(refreshToken) {
+  return `refresh:${hashRefreshToken(refreshToken)}`;
+}
+
+function refreshUsedKey(refreshToken) {
+  return `refresh-used:${hashRefreshToken(refreshToken)}`;
+}
+
+function familyKey(familyId) {
+  return `refresh-family:${familyId}`;
+}
+
+function familyRevokedKey(familyId) {
+  return `refresh-family-revoked:${familyId}`;
+}
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+// GOOD: Every Redis call goes through the session store guard - same
+// breaker and timeout as session lookups - so an outage fails fast
+// instead of hanging the refresh endpoint
+async function withRedis(operation) {
+  return getDefaultSessionStoreGuard().run(
+    async () => operation(await getRedisClient())
+  );
+}
+
+async function issueAccessToken(userId, familyId) {
+  // GOOD: Short-lived, explicitly typed as an access token
+  const token = signToken(
+    { userId: userId, typ: 'access', fid: familyId },
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+
+  // GOOD: Registered server-side like every other token (by hashed jti)
+  const claims = decodeIssuedToken(token);
+  await registerSession(claims);
+
+  return { token, jti: claims.jti };
+}
+
+async function issueRefreshToken(userId, family) {
+  // GOOD: Opaque, high-entropy, not a JWT - it means nothing outside this store
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+
+  // GOOD: Token lifetime never exceeds the family's absolute lifetime
+  const ttl = Math.min(REFRESH_TOKEN_TTL_SECONDS, family.expiresAt - nowSeconds());
+  if (ttl <= 0) {
+    return null;
+  }
+
+  await withRedis(client => client.set(
+    refreshKey(refreshToken),
+    JSON.stringify({ userId: userId, familyId: family.familyId }),
+    { EX: ttl }
+  ));
+
+  return refreshToken;
+}
+
+// GOOD: Revocation lives in its own key, so a rotation that saves the
+// family record concurrently cannot write `revoked: false` back over it
+async function isFamilyRevoked(familyId) {
+  return Boolean(await withRedis(client => client.get(familyRevokedKey(familyId))));
+}
+
+async function loadFamily(familyId) {
+  const [raw, revoked] = await Promise.all([
+    withRedis(client => client.get(familyKey(familyId))),
+    isFamilyRevoked(familyId)
+  ]);
+  return raw ? { ...JSON.parse(raw), revoked } : null;
+}
+
+async function saveFamily({ revoked, ...family }) {
+  const ttl = family.expiresAt - nowSeconds();
+  if (ttl > 0) {
+    await withRedis(client => client.set(familyKey(family.familyId), JSON.stringify(family), { EX: ttl }));
+  }
+}
+
+// GOOD: Revoking a family kills its refresh tokens and its current access token
+async function revokeFamily(familyId) {
+  const family = await loadFamily(familyId);
+  if (!family) {
+    return;
+  }
+
+  const ttl = family.expiresAt - nowSeconds();
+  if (ttl > 0) {
+    await withRedis(client => client.set(
+      familyRevokedKey(familyId),
+      new Date().toISOString(),
+      { EX: ttl }
+    ));
+  }
+
+  // GOOD: Read the access jti only after the marker is set. A rotation
+  // that saved a newer jti before this point is revoked here; one that
+  // saves after it sees the marker and revokes its own token.
+  const latest = (await loadFamily(familyId)) || family;
+  if (latest.accessJti) {
+    await revokeSession({ userId: family.userId, jti: latest.accessJti });
+  }
+}
+
+async function secureLogin(userId) {
+  // GOOD: Every login starts a new family
+  const family = {
+    familyId: crypto.randomUUID(),
+    userId: userId,
+    createdAt: nowSeconds(),
+    expiresAt: nowSeconds() + FAMILY_MAX_LIFETIME_SECONDS,
+    accessJti: null // GOOD: Only the jti is kept, never the token
+  };
+
+  const access = await issueAccessToken(userId, family.familyId);
+  const refreshToken = await issueRefreshToken(userId, family);
+
+  family.accessJti = access.jti;
+  await saveFamily(family);
+
+  return { accessToken: access.token, refreshToken };
+}
+
+async function rotateRefreshToken(refreshToken, req = {}) {
+  if (typeof refreshToken !== 'string' || refreshToken.length === 0) {
+    return null;
+  }
+
+  const raw = await withRedis(client => client.get(refreshKey(refreshToken)));
+  if (!raw) {
+    return null; // Unknown or expired refresh token
+  }
+
+  const { userId, familyId } = JSON.parse(raw);
+  const family = await loadFamily(familyId);
+  if (!family || family.revoked) {
+    return null; // Family was revoked (logout or earlier reuse)
+  }
+
+  // GOOD: Atomically mark the token as used - only one caller can win.
+  // The marker lives as long as the family so late reuse is still detected.
+  const markedAsUsed = await withRedis(client => client.set(
+    refreshUsedKey(refreshToken),
+    new Date().toISOString(),
+    { NX: true, EX: family.expiresAt - nowSeconds() }
+  ));
+
+  if (!markedAsUsed) {
+    // GOOD: A rotated token came back - either the user or an attacker
+    // holds a stolen copy. Revoke everything in the family.
+    await revokeFamily(familyId);
+
+    SecurityLogger.logSuspiciousActivity(
+      { ip: req.ip, path: req.path, user: { userId: userId } },
+      'REFRESH_TOKEN_REUSE',
+      { familyId: familyId, userId: userId }
+    );
+
+    return null;
+  }
+
+  // GOOD: Previous access token from this family stops working
+  if (family.accessJti) {
+    await revokeSession({ userId: userId, jti: family.accessJti });
+  }
+
+  const newRefreshToken = await issueRefreshToken(userId, family);
+  if (!newRefreshToken) {
+    return null; // Family reached its absolute lifetime
+  }
+
+  const access = await issueAccessToken(userId, familyId);
+  family.accessJti = access.jti;
+  await saveFamily(family);
+
+  // GOOD: The family may have been revoked while this rotation was in
+  // flight - the revoker could have seen the previous access jti. Check
+  // again now that the new one is saved, and withdraw what was issued.
+  if (await isFamilyRevoked(familyId)) {
+    await revokeSession({ userId: userId, jti: access.jti });
+    await withRedis(client => client.del(refreshKey(newRefreshToken)));
+    return null;
+  }
+
+  return { accessToken: access.token, refreshToken: newRefreshToken };
+}
+
+async function secureLogout(refreshToken) {
+  // GOOD: Logout revokes the whole family, not just the access token
+  const raw = await withRedis(client => client.get(refreshKey(refreshToken)));
+  if (raw) {
+    await revokeFamily(JSON.parse(raw).familyId);
+  }
+
+  return { message: 'Logged out successfully' };
+}
+
+// GOOD: Read-only view of a refresh token for introspection - never rotates it.
+// Returns null unless the token is unused and its family is still live.
+async function describeRefreshToken(refreshToken) {
+  if (typeof refreshToken !== 'string' || refreshToken.length === 0) {
+    return null;
+  }
+
+  const [raw, used] = await withRedis(client => Promise.all([
+    client.get(refreshKey(refreshToken)),
+    client.get(refreshUsedKey(refreshToken))
+  ]));
+  if (!raw || used) {
+    return null;
+  }
+
+  const { userId, familyId } = JSON.parse(raw);
+  const family = await loadFamily(familyId);
+  if (!family || family.revoked) {
+    return null;
+  }
+
+  const ttl = await withRedis(client => client.ttl(refreshKey(refreshToken)));
+  return {
+    userId: userId,
+    familyId: familyId,
+    issuedAt: family.createdAt,
+    expiresAt: ttl > 0 ? nowSeconds() + ttl : family.expiresAt
+  };
+}
+
+// GOOD: Access-token check that refuses anything not typed as access
+async function secureVerifyAccessToken(token, { routeGroup, req } = {}) {
+  const result = verifyToken(token);
+  if (!result.ok) {
+    return result;
+  }
+
+  if (result.claims.typ !== 'access') {
+    return { ok: false, reason: TOKEN_FAILURE.TOKEN_TYPE_MISMATCH };
+  }
+
+  const lookup = await lookupSession(result.claims.jti, { routeGroup, req });
+  if (!lookup.ok) {
+    return lookup; // Store outage - handled by the route group's policy
+  }
+  // GOOD: Logged-out and MFA-pending sessions do not authenticate
+  if (!lookup.session || lookup.session.status !== SESSION_STATUS.ACTIVE) {
+    return { ok: false, reason: TOKEN_FAILURE.REVOKED };
+  }
+
+  return result;
+}
+
+// ============================================================================
+// Express Route Examples
+// ============================================================================
+
+// ❌ INSECURE Routes
+function insecureRoutes() {
+  const app = express();
+  app.use(express.json());
+
+  // BAD: Access token in, fresh access token out
+  app.post('/api/auth/refresh', async (req, res) => {
+    const token = req.headers.authorization?.split(' ')[1];
+    const newToken = await insecureRefreshToken(token);
+    if (!newToken) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+    return res.json({ token: newToken });
+  });
+
+  return app;
+}
+
+// ✅ SECURE Routes
+function secureRoutes() {
+  const app = express();
+  app.use(express.json());
+
+  // GOOD: Refresh endpoint only accepts refresh tokens
+  app.post('/api/auth/refresh', async (req, res) => {
+    let tokens;
+    try {
+      tokens = await rotateRefreshToken(req.body.refreshToken, req);
+    } catch (error) {
+      // GOOD: Store outage is a 503, not a 401 - the client keeps its
+      // refresh token and retries instead of logging the user out
+      res.set('Retry-After', '5');
+      return res.status(503).json({ error: 'Authentication temporarily unavailable' });
+    }
+    if (!tokens) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+    return res.json(tokens);
+  });
+
+  app.post('/api/auth/logout', async (req, res) => {
+    try {
+      return res.json(await secureLogout(req.body.refreshToken));
+    } catch (error) {
+      // GOOD: Never report a logout that did not happen
+      res.set('Retry-After', '5');
+      return res.status(503).json({ error: 'Logout temporarily unavailable' });
+    }
+  });
+
+  return app;
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_SECONDS,
+  FAMILY_MAX_LIFETIME_SECONDS,
+  insecureRefreshToken,
+  hashRefreshToken,
+  secureLogin,
+  rotateRefreshToken,
+  revokeFamily,
+  secureLogout,
+  describeRefreshToken,
+  secureVerifyAccessToken,
+  insecureRoutes,
+  secureRoutes
+};
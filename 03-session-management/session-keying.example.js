@@ -0,0 +1,143 @@
+/**
+ * Example: Session Keying by Hashed jti
+ *
+ * This file demonstrates the security issue of using the raw bearer token as the
+ * Redis key (every key is a usable credential) and shows how to key sessions by a
+ * hash of the token's `jti` claim, with a per-user index for enumeration.
+ */
+
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { decodeIssuedToken } = require('../01-authentication/hardened-token-verification.example');
+const { getDefaultTokenStore } = require('./token-store.example');
+const { initialSessionTiming } = require('./idle-session-timeout.example');
+
+// ============================================================================
+// ❌ INSECURE: Raw token as the Redis key
+// ============================================================================
+
+async function insecureRegisterToken(redisClient, token) {
+  // BAD: The full bearer credential is stored in plaintext.
+  // `KEYS token:*`, an RDB dump or MONITOR output hands out live sessions.
+  // BAD: Keys are the size of the JWT (often 500+ bytes)
+  await redisClient.set(`token:${token}`, 'valid', { EX: 86400 });
+}
+
+async function insecureListUserSessions(redisClient, userId) {
+  // BAD: No index - the only way to find a user's sessions is to scan
+  // every key and decode every token
+  const keys = await redisClient.keys('token:*');
+  return keys
+    .map(key => jwt.decode(key.substring('token:'.length)))
+    .filter(decoded => decoded && decoded.userId === userId);
+}
+
+// ============================================================================
+// ✅ SECURE: Sessions keyed by SHA-256(jti), indexed per user
+// ============================================================================
+
+const SESSION_STATUS = {
+  ACTIVE: 'active',
+  LOGGED_OUT: 'logged-out',
+  MFA_PENDING: 'mfa-pending' // Password verified, second factor outstanding
+};
+
+// GOOD: Session id is a one-way hash of the jti. It is safe to show in
+// "your devices" screens and logs - it cannot be turned back into a token.
+function hashSessionId(jti) {
+  return crypto.createHash('sha256').update(String(jti)).digest('hex');
+}
+
+function remainingTtlSeconds(exp) {
+  return exp - Math.floor(Date.now() / 1000);
+}
+
+// GOOD: Register a session from verified (or just-issued) claims.
+// The store keeps it under session:<id> and adds it to the user's index.
+// Its TTL is the idle timeout, capped by the absolute lifetime.
+async function registerSession(claims, metadata = {}) {
+  if (!claims.jti || !claims.exp) {
+    throw new Error('Sessions require jti and exp claims');
+  }
+
+  const timing = initialSessionTiming(claims);
+  if (timing.ttlSeconds <= 0) {
+    return null;
+  }
+
+  const session = {
+    sessionId: hashSessionId(claims.jti),
+    userId: claims.userId,
+    status: SESSION_STATUS.ACTIVE,
+    issuedAt: claims.iat,
+    expiresAt: claims.exp,
+    lastSeenAt: timing.lastSeenAt,
+    absoluteExpiresAt: timing.absoluteExpiresAt,
+    ...metadata // e.g. { userAgent, ip } - never the token itself
+  };
+
+  return getDefaultTokenStore().issue(session, timing.ttlSeconds);
+}
+
+// GOOD: Convenience for login flows - the token was just signed by us,
+// possibly encrypted, so it is read with decodeIssuedToken()
+async function registerSessionForToken(token, metadata) {
+  return registerSession(decodeIssuedToken(token), metadata);
+}
+
+async function getSession(jti) {
+  return getDefaultTokenStore().get(hashSessionId(jti));
+}
+
+async function getSessionById(sessionId) {
+  return getDefaultTokenStore().get(sessionId);
+}
+
+async function revokeSessionById(sessionId) {
+  return getDefaultTokenStore().revoke(sessionId);
+}
+
+async function revokeSession(claims) {
+  return revokeSessionById(hashSessionId(claims.jti));
+}
+
+// GOOD: Keep a logged-out marker until the JWT would have expired
+async function markSessionLoggedOut(claims) {
+  const ttl = remainingTtlSeconds(claims.exp);
+  const sessionId = hashSessionId(claims.jti);
+
+  if (ttl <= 0) {
+    await revokeSessionById(sessionId);
+    return;
+  }
+
+  const session = (await getSessionById(sessionId)) || { sessionId, userId: claims.userId };
+  session.status = SESSION_STATUS.LOGGED_OUT;
+  await getDefaultTokenStore().issue(session, ttl);
+}
+
+// GOOD: Enumerate a user's sessions through the store's per-user index
+async function listUserSessions(userId) {
+  const sessions = await getDefaultTokenStore().list(userId);
+  return sessions.filter(session => session.status === SESSION_STATUS.ACTIVE);
+}
+
+async function revokeAllUserSessions(userId) {
+  return getDefaultTokenStore().revokeAllForUser(userId);
+}
+
+module.exports = {
+  SESSION_STATUS,
+  insecureRegisterToken,
+  insecureListUserSessions,
+  hashSessionId,
+  registerSession,
+  registerSessionForToken,
+  getSession,
+  getSessionById,
+  revokeSession,
+  revokeSessionById,
+  markSessionLoggedOut,
+  listUserSessions,
+  revokeAllUserSessions
+};
@@ -0,0 +1,428 @@
+/**
+ * Example: Explicit Outage Policy for the Session Store
+ *
+ * This file demonstrates the security issue of treating a session store outage
+ * like an invalid token (or, worse, like a valid one) by accident, and shows an
+ * explicit per-route-group policy with a circuit breaker, a short-lived local
+ * cache for reads, health reporting and security log events.
+ */
+
+const express = require('express');
+const {
+  TOKEN_FAILURE,
+  verifyToken,
+  tokenTransportOptions,
+  runTokenChecks
+} = require('../01-authentication/hardened-token-verification.example');
+const { SecurityLogger } = require('../07-detection-and-logging/missing-security-logs.example');
+const {
+  getDefaultTokenStore,
+  DEFAULT_STORE_TIMEOUT_MS,
+  withStoreTimeout
+} = require('./token-store.example');
+const { SESSION_STATUS, hashSessionId } = require('./session-keying.example');
+const { enforceSessionActivity } = require('./idle-session-timeout.example');
+
+// ============================================================================
+// ❌ INSECURE: Outage behavior decided by a catch block
+// ============================================================================
+
+async function insecureVerifyToken(token) {
+  try {
+    const result = verifyToken(token);
+    const session = await getDefaultTokenStore().get(hashSessionId(result.claims.jti));
+    return session ? result.claims : null;
+  } catch (error) {
+    // BAD: Redis down, bad signature and a bug in this function all end up here.
+    // Every user is logged out during an outage, and nobody can tell why.
+    return null;
+  }
+}
+
+async function insecureVerifyTokenFailOpen(token) {
+  const result = verifyToken(token);
+  if (!result.ok) {
+    return null;
+  }
+
+  try {
+    const session = await getDefaultTokenStore().get(hashSessionId(result.claims.jti));
+    return session ? result.claims : null;
+  } catch (error) {
+    // BAD: "Don't break the site" - an outage silently disables revocation.
+    // Logged-out and revoked tokens work on every route, including admin.
+    return result.claims;
+  }
+}
+
+// ============================================================================
+// ✅ SECURE: Policy per route group, circuit breaker, bounded cache
+// ============================================================================
+
+const OUTAGE_MODE = {
+  // Deny the request with 503 - revocation is never bypassed
+  FAIL_CLOSED: 'fail-closed',
+  // Accept only sessions this instance confirmed as active within cacheTtlMs
+  FAIL_OPEN_CACHED: 'fail-open-cached'
+};
+
+const ROUTE_GROUPS = {
+  ADMIN: 'admin',
+  WRITE: 'write',
+  READ: 'read'
+};
+
+// GOOD: Explicit, reviewable defaults. There is deliberately no
+// "accept any signed token" mode - that is revocation switched off.
+const DEFAULT_OUTAGE_POLICIES = {
+  [ROUTE_GROUPS.ADMIN]: { mode: OUTAGE_MODE.FAIL_CLOSED },
+  [ROUTE_GROUPS.WRITE]: { mode: OUTAGE_MODE.FAIL_CLOSED },
+  [ROUTE_GROUPS.READ]: { mode: OUTAGE_MODE.FAIL_OPEN_CACHED, cacheTtlMs: 30 * 1000 }
+};
+
+const MAX_CACHE_TTL_MS = 5 * 60 * 1000;
+
+function validateOutagePolicies(policies) {
+  for (const [group, policy] of Object.entries(policies)) {
+    if (!Object.values(OUTAGE_MODE).includes(policy.mode)) {
+      throw new Error(`Unknown outage mode for route group ${group}: ${policy.mode}`);
+    }
+
+    if (policy.mode === OUTAGE_MODE.FAIL_OPEN_CACHED) {
+      if (!(policy.cacheTtlMs > 0) || policy.cacheTtlMs > MAX_CACHE_TTL_MS) {
+        throw new Error(`Cache TTL for route group ${group} must be between 1ms and ${MAX_CACHE_TTL_MS}ms`);
+      }
+    }
+  }
+
+  // GOOD: Admin routes can never run on cached session state
+  if (policies[ROUTE_GROUPS.ADMIN]?.mode !== OUTAGE_MODE.FAIL_CLOSED) {
+    throw new Error('Admin route group must fail closed');
+  }
+
+  return policies;
+}
+
+// GOOD: Read-group cache window comes from config; 0 disables the cache
+// .env:
+// SESSION_OUTAGE_READ_CACHE_SECONDS=30
+function loadOutagePoliciesFromEnv() {
+  const policies = { ...DEFAULT_OUTAGE_POLICIES };
+  const cacheSeconds = process.env.SESSION_OUTAGE_READ_CACHE_SECONDS;
+
+  if (cacheSeconds !== undefined) {
+    const seconds = Number(cacheSeconds);
+    policies[ROUTE_GROUPS.READ] = seconds > 0
+      ? { mode: OUTAGE_MODE.FAIL_OPEN_CACHED, cacheTtlMs: seconds * 1000 }
+      : { mode: OUTAGE_MODE.FAIL_CLOSED };
+  }
+
+  return validateOutagePolicies(policies);
+}
+
+const CIRCUIT_STATE = {
+  CLOSED: 'closed', // Store healthy, every lookup goes through
+  OPEN: 'open', // Store considered down, lookups are not attempted
+  HALF_OPEN: 'half-open' // One trial lookup allowed to probe recovery
+};
+
+class CircuitOpenError extends Error {
+  constructor() {
+    super('Session store circuit is open');
+    this.name = 'CircuitOpenError';
+  }
+}
+
+// GOOD: Stop hammering a dead store; fail fast instead of queueing requests
+class CircuitBreaker {
+  constructor({
+    failureThreshold = 5,
+    resetTimeoutMs = 10 * 1000,
+    now = () => Date.now(),
+    onStateChange = () => {}
+  } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.now = now;
+    this.onStateChange = onStateChange;
+    this.state = CIRCUIT_STATE.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.lastFailure = null;
+    this.probeInFlight = false;
+  }
+
+  transition(state, details = {}) {
+    if (this.state !== state) {
+      const previous = this.state;
+      this.state = state;
+      this.onStateChange({ from: previous, to: state, ...details });
+    }
+  }
+
+  async execute(operation) {
+    if (this.state === CIRCUIT_STATE.OPEN) {
+      if (this.now() - this.openedAt < this.resetTimeoutMs) {
+        throw new CircuitOpenError();
+      }
+      this.transition(CIRCUIT_STATE.HALF_OPEN);
+    }
+
+    // GOOD: Half-open lets exactly one probe through; every other call keeps
+    // failing fast until that probe settles, so a recovering store is not
+    // hit by the whole backlog at once
+    const isProbe = this.state === CIRCUIT_STATE.HALF_OPEN;
+    if (isProbe) {
+      if (this.probeInFlight) {
+        throw new CircuitOpenError();
+      }
+      this.probeInFlight = true;
+    }
+
+    try {
+      const result = await operation();
+      this.consecutiveFailures = 0;
+      this.transition(CIRCUIT_STATE.CLOSED);
+      return result;
+    } catch (error) {
+      this.consecutiveFailures += 1;
+      this.lastFailure = { at: new Date(this.now()).toISOString(), message: error.message };
+
+      if (this.state === CIRCUIT_STATE.HALF_OPEN ||
+          this.consecutiveFailures >= this.failureThreshold) {
+        this.openedAt = this.now();
+        this.transition(CIRCUIT_STATE.OPEN, { error: error.message });
+      }
+      throw error;
+    } finally {
+      if (isProbe) {
+        this.probeInFlight = false;
+      }
+    }
+  }
+}
+
+class SessionStoreGuard {
+  constructor({
+    getStore = getDefaultTokenStore,
+    policies = loadOutagePoliciesFromEnv(),
+    lookupTimeoutMs = DEFAULT_STORE_TIMEOUT_MS,
+    maxCacheEntries = 10000,
+    now = () => Date.now(),
+    breaker = null
+  } = {}) {
+    this.getStore = getStore;
+    this.policies = validateOutagePolicies(policies);
+    this.lookupTimeoutMs = lookupTimeoutMs;
+    this.maxCacheEntries = maxCacheEntries;
+    this.now = now;
+    this.cache = new Map(); // sessionId -> { session, confirmedAt }
+    this.breaker = breaker || new CircuitBreaker({
+      now: now,
+      onStateChange: (change) => {
+        // GOOD: Opening and closing the circuit are security events
+        SecurityLogger.logDegradation({}, 'session-store', {
+          event: 'CIRCUIT_' + change.to.toUpperCase().replace('-', '_'),
+          ...change
+        });
+      }
+    });
+  }
+
+  policyFor(routeGroup) {
+    // GOOD: Unknown route groups get the strictest policy
+    return this.policies[routeGroup] || { mode: OUTAGE_MODE.FAIL_CLOSED };
+  }
+
+  remember(session) {
+    this.cache.delete(session.sessionId);
+    this.cache.set(session.sessionId, { session, confirmedAt: this.now() });
+
+    if (this.cache.size > this.maxCacheEntries) {
+      // Map keeps insertion order - drop the oldest confirmation
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  // GOOD: Other store calls on the request path share the breaker and the
+  // timeout. Throws on failure - the caller decides what an outage means.
+  async run(operation) {
+    return this.breaker.execute(
+      () => withStoreTimeout(operation(), this.lookupTimeoutMs)
+    );
+  }
+
+  // Returns { ok: true, session, degraded } - session is null if not found -
+  // or { ok: false, reason: TOKEN_FAILURE.STORE_UNAVAILABLE }
+  async lookup(jti, routeGroup, req = {}) {
+    const sessionId = hashSessionId(jti);
+
+    try {
+      const session = await this.run(() => this.getStore().get(sessionId));
+
+      // GOOD: Only confirmed-active sessions are cached; revocations evict
+      if (session && session.status === SESSION_STATUS.ACTIVE) {
+        this.remember(session);
+      } else {
+        this.cache.delete(sessionId);
+      }
+
+      return { ok: true, session, degraded: false };
+    } catch (error) {
+      return this.applyOutagePolicy(sessionId, routeGroup, req, error);
+    }
+  }
+
+  applyOutagePolicy(sessionId, routeGroup, req, error) {
+    const policy = this.policyFor(routeGroup);
+
+    if (policy.mode === OUTAGE_MODE.FAIL_OPEN_CACHED) {
+      const cached = this.cache.get(sessionId);
+      if (cached && this.now() - cached.confirmedAt <= policy.cacheTtlMs) {
+        SecurityLogger.logDegradation(req, 'session-store', {
+          event: 'SERVED_FROM_CACHE',
+          routeGroup: routeGroup,
+          sessionId: sessionId,
+          confirmedAgoMs: this.now() - cached.confirmedAt
+        });
+        return { ok: true, session: cached.session, degraded: true };
+      }
+    }
+
+    SecurityLogger.logDegradation(req, 'session-store', {
+      event: 'FAILED_CLOSED',
+      routeGroup: routeGroup,
+      error: error.message
+    });
+    return { ok: false, reason: TOKEN_FAILURE.STORE_UNAVAILABLE };
+  }
+
+  // Summary for health endpoints - never includes session data
+  health() {
+    const status = {
+      [CIRCUIT_STATE.CLOSED]: 'ok',
+      [CIRCUIT_STATE.HALF_OPEN]: 'recovering',
+      [CIRCUIT_STATE.OPEN]: 'degraded'
+    }[this.breaker.state];
+
+    return {
+      status: status,
+      circuit: this.breaker.state,
+      consecutiveFailures: this.breaker.consecutiveFailures,
+      lastFailure: this.breaker.lastFailure,
+      cachedSessions: this.cache.size,
+      policies: this.policies
+    };
+  }
+}
+
+let defaultSessionStoreGuard = null;
+
+function getDefaultSessionStoreGuard() {
+  if (!defaultSessionStoreGuard) {
+    defaultSessionStoreGuard = new SessionStoreGuard();
+  }
+  return defaultSessionStoreGuard;
+}
+
+// GOOD: Session lookup with the outage policy of the given route group.
+// Callers must check `ok` before looking at `session`.
+async function lookupSession(jti, { routeGroup = ROUTE_GROUPS.WRITE, req = {} } = {}) {
+  return getDefaultSessionStoreGuard().lookup(jti, routeGroup, req);
+}
+
+// ============================================================================
+// Express Middleware Examples
+// ============================================================================
+
+// ✅ SECURE Middleware: one factory, route group chosen per router.
+// `options` opts in to DPoP and cookie transports (see tokenTransportOptions).
+function sessionAuthMiddleware(routeGroup, options) {
+  const checks = tokenTransportOptions(options);
+
+  return async (req, res, next) => {
+    const { token, transport } = checks.readToken(req);
+    if (!token) {
+      return res.status(401).json({ error: 'No token provided' });
+    }
+
+    const result = verifyToken(token, checks.verifyOptions);
+    if (!result.ok) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    // GOOD: DPoP proof for key-bound tokens, CSRF token for cookie-carried ones
+    if (!(await runTokenChecks(req, res, { token, claims: result.claims, transport }, checks))) {
+      return;
+    }
+
+    const lookup = await lookupSession(result.claims.jti, { routeGroup, req });
+    if (!lookup.ok) {
+      // GOOD: Outage is a 503, not a 401 - clients retry instead of
+      // throwing the user back to the login page
+      res.set('Retry-After', '5');
+      return res.status(503).json({ error: 'Authentication temporarily unavailable' });
+    }
+
+    if (!lookup.session || lookup.session.status !== SESSION_STATUS.ACTIVE) {
+      return res.status(401).json({ error: 'Session revoked or unknown' });
+    }
+
+    const activity = await enforceSessionActivity(lookup.session, {
+      degraded: lookup.degraded,
+      req: req
+    });
+    if (!activity.ok) {
+      return res.status(401).json({ error: 'Session expired' });
+    }
+
+    req.user = result.claims;
+    req.sessionDegraded = lookup.degraded;
+    next();
+  };
+}
+
+function secureRoutes() {
+  const app = express();
+  app.use(express.json());
+
+  // GOOD: Reads may use the short-lived cache during an outage
+  app.get('/api/profile', sessionAuthMiddleware(ROUTE_GROUPS.READ), (req, res) => {
+    res.json({ userId: req.user.userId });
+  });
+
+  // GOOD: Writes and admin actions fail closed
+  app.put('/api/profile', sessionAuthMiddleware(ROUTE_GROUPS.WRITE), (req, res) => {
+    res.json({ message: 'Profile updated' });
+  });
+
+  app.delete('/api/admin/users/:id', sessionAuthMiddleware(ROUTE_GROUPS.ADMIN), (req, res) => {
+    res.json({ message: 'User deleted' });
+  });
+
+  // GOOD: Degraded state is visible to load balancers and dashboards
+  app.get('/health/session-store', (req, res) => {
+    const health = getDefaultSessionStoreGuard().health();
+    res.status(health.status === 'ok' ? 200 : 503).json(health);
+  });
+
+  return app;
+}
+
+module.exports = {
+  OUTAGE_MODE,
+  ROUTE_GROUPS,
+  DEFAULT_OUTAGE_POLICIES,
+  CIRCUIT_STATE,
+  insecureVerifyToken,
+  insecureVerifyTokenFailOpen,
+  validateOutagePolicies,
+  loadOutagePoliciesFromEnv,
+  CircuitOpenError,
+  CircuitBreaker,
+  SessionStoreGuard,
+  getDefaultSessionStoreGuard,
+  lookupSession,
+  sessionAuthMiddleware,
+  secureRoutes
+};
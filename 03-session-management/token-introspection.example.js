@@ -0,0 +1,453 @@
+/**
+ * Example: Token Introspection and Revocation (RFC 7662 / RFC 7009)
+ *
+ * This file demonstrates the security issue of every system sharing JWT_SECRET
+ * to validate tokens locally (with no way to see or trigger revocation) and shows
+ * introspection and revocation endpoints backed by the session store, with each
+ * calling system authenticated by its own client credentials.
+ */
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { verifyToken } = require('../01-authentication/hardened-token-verification.example');
+const { isSessionTokenEpochCurrent } = require('../01-authentication/session-epoch.example');
+const { SYSTEMS } = require('../02-authorization/cross-system-access.example');
+const {
+  PERMISSIONS,
+  getDefaultPermissionResolver
+} = require('../02-authorization/over-privileged-tokens.example');
+const {
+  FAILURE_KINDS,
+  getDefaultAuthFailureTracker,
+  sendLockedResponse
+} = require('../01-authentication/brute-force-lockout.example');
+const { SecurityLogger } = require('../07-detection-and-logging/missing-security-logs.example');
+const { SESSION_STATUS, revokeSession } = require('./session-keying.example');
+const { ROUTE_GROUPS, lookupSession } = require('./session-store-outage-policy.example');
+const { evaluateSessionActivity } = require('./idle-session-timeout.example');
+const { describeRefreshToken, secureLogout: revokeRefreshToken } = require('./refresh-token-rotation.example');
+
+// ============================================================================
+// ❌ INSECURE: Shared secret in every system
+// ============================================================================
+
+function insecureDownstreamVerify(token) {
+  try {
+    // BAD: customer-portal, admin-portal, internal and mobile-app backends all
+    // hold JWT_SECRET - any one of them can mint tokens for the others.
+    // BAD: Signature and exp only - a logged-out or revoked token still passes.
+    return jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+}
+
+// ============================================================================
+// ✅ SECURE: Per-system clients calling introspection / revocation
+// ============================================================================
+
+const CLIENT_CAPABILITIES = {
+  INTROSPECT: 'introspect',
+  REVOKE_OWN: 'revoke:own', // Tokens whose `system` claim is the client's system
+  REVOKE_ANY: 'revoke:any',
+  CLIENT_CREDENTIALS: 'client_credentials' // May request system tokens (see client-credentials-grant)
+};
+
+const TOKEN_TYPE_HINTS = {
+  ACCESS_TOKEN: 'access_token',
+  REFRESH_TOKEN: 'refresh_token'
+};
+
+// GOOD: Client secrets are 32 random bytes, so a fast hash is enough -
+// there is no dictionary to attack. Only the hash is configured on the server.
+function hashClientSecret(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+function generateClientSecret() {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { secret, secretHash: hashClientSecret(secret) };
+}
+
+function validateSystemClients(clients) {
+  const knownSystems = Object.values(SYSTEMS);
+  const knownCapabilities = Object.values(CLIENT_CAPABILITIES);
+  const knownPermissions = Object.values(PERMISSIONS);
+  const seen = new Set();
+
+  for (const client of clients) {
+    if (!client.clientId || seen.has(client.clientId)) {
+      throw new Error(`Missing or duplicate clientId: ${client.clientId}`);
+    }
+    seen.add(client.clientId);
+
+    if (!knownSystems.includes(client.system)) {
+      throw new Error(`Client ${client.clientId} has unknown system: ${client.system}`);
+    }
+    if (!/^[0-9a-f]{64}$/.test(client.secretHash || '')) {
+      throw new Error(`Client ${client.clientId} needs a SHA-256 secretHash (hex)`);
+    }
+    const unknown = (client.capabilities || []).filter(c => !knownCapabilities.includes(c));
+    if (unknown.length > 0) {
+      throw new Error(`Client ${client.clientId} has unknown capabilities: ${unknown.join(', ')}`);
+    }
+    const unknownSystems = (client.allowedSystems || []).filter(s => !knownSystems.includes(s));
+    if (unknownSystems.length > 0) {
+      throw new Error(`Client ${client.clientId} has unknown allowedSystems: ${unknownSystems.join(', ')}`);
+    }
+    const unknownPermissions = (client.permissions || []).filter(p => !knownPermissions.includes(p));
+    if (unknownPermissions.length > 0) {
+      throw new Error(`Client ${client.clientId} has unknown permissions: ${unknownPermissions.join(', ')}`);
+    }
+  }
+
+  return clients;
+}
+
+// GOOD: One client per calling system; secrets can be rotated per system.
+// `allowedSystems` (default: [system]) and `permissions` (default: none) cap
+// what a client can put in a system token.
+class SystemClientRegistry {
+  constructor(clients = []) {
+    this.clients = new Map(
+      validateSystemClients(clients).map(client => [client.clientId, {
+        ...client,
+        allowedSystems: client.allowedSystems || [client.system],
+        permissions: client.permissions || []
+      }])
+    );
+    this.dummyHash = hashClientSecret(crypto.randomBytes(32));
+  }
+
+  // Returns the client (without its secret hash) or null
+  authenticate(clientId, secret) {
+    const client = this.clients.get(clientId);
+
+    // GOOD: Unknown clients are compared too, so timing does not reveal ids
+    const expected = Buffer.from(client ? client.secretHash : this.dummyHash, 'hex');
+    const actual = Buffer.from(hashClientSecret(secret), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual) || !client) {
+      return null;
+    }
+
+    const { secretHash, ...safeClient } = client;
+    return safeClient;
+  }
+}
+
+// GOOD: Client list comes from configuration, validated on startup
+// .env:
+// SYSTEM_CLIENTS=[{"clientId":"admin-portal","system":"admin-portal",
+//   "secretHash":"<sha256 hex>","capabilities":["introspect","revoke:any"],
+//   "permissions":["users:read"]}, ...]
+function loadSystemClientsFromEnv() {
+  return new SystemClientRegistry(JSON.parse(process.env.SYSTEM_CLIENTS || '[]'));
+}
+
+let defaultSystemClientRegistry = null;
+
+function getDefaultSystemClientRegistry() {
+  if (!defaultSystemClientRegistry) {
+    defaultSystemClientRegistry = loadSystemClientsFromEnv();
+  }
+  return defaultSystemClientRegistry;
+}
+
+function setDefaultSystemClientRegistry(registry) {
+  defaultSystemClientRegistry = registry;
+}
+
+// client_secret_basic (RFC 6749 section 2.3.1): both parts are form-encoded
+function parseBasicCredentials(header) {
+  const match = /^Basic ([A-Za-z0-9+/=]+)$/.exec(header || '');
+  if (!match) {
+    return null;
+  }
+
+  const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+  const separator = decoded.indexOf(':');
+  if (separator < 0) {
+    return null;
+  }
+
+  try {
+    return {
+      clientId: decodeURIComponent(decoded.slice(0, separator).replace(/\+/g, ' ')),
+      secret: decodeURIComponent(decoded.slice(separator + 1).replace(/\+/g, ' '))
+    };
+  } catch (error) {
+    return null; // Malformed percent-encoding
+  }
+}
+
+// ✅ SECURE Client authentication middleware - the client needs any one of `capabilities`
+function requireSystemClient(capabilities, {
+  registry = getDefaultSystemClientRegistry(),
+  failureTracker = getDefaultAuthFailureTracker()
+} = {}) {
+  const required = Array.isArray(capabilities) ? capabilities : [capabilities];
+
+  return async (req, res, next) => {
+    const credentials = parseBasicCredentials(req.headers.authorization);
+    const attempt = { account: credentials ? `client:${credentials.clientId}` : null, ip: req.ip };
+
+    const decision = await failureTracker.check(attempt);
+    if (!decision.allowed) {
+      return sendLockedResponse(res, decision);
+    }
+
+    const client = credentials && registry.authenticate(credentials.clientId, credentials.secret);
+    if (!client) {
+      SecurityLogger.logAuthFailure(req, 'INVALID_CLIENT');
+      await failureTracker.recordFailure({ ...attempt, kind: FAILURE_KINDS.CLIENT }, req);
+      res.set('WWW-Authenticate', 'Basic realm="token-endpoints"');
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    if (!required.some(capability => (client.capabilities || []).includes(capability))) {
+      SecurityLogger.logAuthorizationDenial(req, client.clientId, required.join(' | '));
+      return res.status(403).json({ error: 'unauthorized_client' });
+    }
+
+    req.client = client;
+    next();
+  };
+}
+
+// GOOD: Same checks as secureVerifyToken, without side effects - asking
+// about a token is not user activity, so nothing is touched or slid.
+// Returns { active: true, claims, permissions } | { active: false } | { unavailable: true }
+async function inspectAccessToken(token, req, { resolver = getDefaultPermissionResolver() } = {}) {
+  // GOOD: Key-bound tokens are reported with their `cnf` - the resource
+  // server asking is the one that checks the DPoP proof (RFC 9449 section 6.2)
+  const result = verifyToken(token, { allowSenderConstrained: true });
+  if (!result.ok) {
+    return { active: false };
+  }
+
+  // GOOD: Admin route group - introspection is never answered from the outage cache
+  const lookup = await lookupSession(result.claims.jti, { routeGroup: ROUTE_GROUPS.ADMIN, req });
+  if (!lookup.ok) {
+    return { unavailable: true };
+  }
+  // GOOD: Logged-out and MFA-pending sessions are not active
+  const session = lookup.session;
+  if (!session || session.status !== SESSION_STATUS.ACTIVE ||
+      !evaluateSessionActivity(session).ok) {
+    return { active: false };
+  }
+
+  let access;
+  try {
+    if (!await isSessionTokenEpochCurrent(result.claims)) {
+      return { active: false };
+    }
+    // GOOD: Scope is what the caller may do now - the user's current role,
+    // or a system token's own scopes - not the permissions claim at login
+    access = await resolver.resolve(result.claims);
+  } catch (error) {
+    return { unavailable: true };
+  }
+
+  return { active: true, claims: result.claims, permissions: access.permissions };
+}
+
+async function inspectRefreshToken(token) {
+  try {
+    const refresh = await describeRefreshToken(token);
+    return refresh ? { active: true, refresh } : { active: false };
+  } catch (error) {
+    return { unavailable: true };
+  }
+}
+
+// GOOD: The hint only changes the lookup order (RFC 7662 section 2.1)
+// `options.resolver` is the PermissionResolver used for access-token scopes
+async function inspectToken(token, hint, req, options = {}) {
+  const order = hint === TOKEN_TYPE_HINTS.REFRESH_TOKEN
+    ? [inspectRefreshToken, inspectAccessToken]
+    : [inspectAccessToken, inspectRefreshToken];
+
+  for (const inspect of order) {
+    const inspection = await inspect(token, req, options);
+    if (inspection.active || inspection.unavailable) {
+      return inspection;
+    }
+  }
+  return { active: false };
+}
+
+// GOOD: Minimal response - enough to authorize a request, nothing more
+function introspectionResponse(inspection) {
+  if (inspection.refresh) {
+    return {
+      active: true,
+      token_type: TOKEN_TYPE_HINTS.REFRESH_TOKEN,
+      sub: String(inspection.refresh.userId),
+      iat: inspection.refresh.issuedAt,
+      exp: inspection.refresh.expiresAt
+    };
+  }
+
+  const { claims } = inspection;
+  return {
+    active: true,
+    token_type: TOKEN_TYPE_HINTS.ACCESS_TOKEN,
+    sub: String(claims.sub || claims.userId), // System tokens carry `sub`, user tokens `userId`
+    client_id: claims.client_id,
+    scope: inspection.permissions.join(' ') || undefined,
+    system: claims.system,
+    acr: claims.acr,
+    cnf: claims.cnf,
+    iss: claims.iss,
+    aud: claims.aud,
+    iat: claims.iat,
+    exp: claims.exp
+  };
+}
+
+// GOOD: RFC 7009 section 2.1 - a client may only revoke tokens issued to it.
+// Refresh families do not record a system, so only REVOKE_ANY clients may revoke them.
+function mayRevoke(client, inspection) {
+  const capabilities = client.capabilities || [];
+  if (capabilities.includes(CLIENT_CAPABILITIES.REVOKE_ANY)) {
+    return true;
+  }
+  return Boolean(
+    capabilities.includes(CLIENT_CAPABILITIES.REVOKE_OWN) &&
+    inspection.claims &&
+    inspection.claims.system === client.system
+  );
+}
+
+// ============================================================================
+// Express Route Examples
+// ============================================================================
+
+// ✅ SECURE Routes
+function secureRoutes(options = {}) {
+  const app = express();
+  // GOOD: Resolved once at startup - a missing resolver fails here, not per request
+  const inspectOptions = { resolver: options.resolver || getDefaultPermissionResolver() };
+  // GOOD: RFC 7662 / 7009 requests are form-encoded; tokens stay out of URLs
+  app.use('/oauth', express.urlencoded({ extended: false, limit: '10kb' }));
+  app.use('/oauth', (req, res, next) => {
+    res.set('Cache-Control', 'no-store');
+    next();
+  });
+
+  app.post('/oauth/introspect',
+    requireSystemClient(CLIENT_CAPABILITIES.INTROSPECT, options),
+    async (req, res) => {
+      const { token, token_type_hint: hint } = req.body || {};
+      if (typeof token !== 'string' || token.length === 0) {
+        return res.status(400).json({ error: 'invalid_request' });
+      }
+
+      const inspection = await inspectToken(token, hint, req, inspectOptions);
+      if (inspection.unavailable) {
+        // GOOD: Outage is not "inactive" - callers apply their own outage policy
+        res.set('Retry-After', '5');
+        return res.status(503).json({ error: 'temporarily_unavailable' });
+      }
+
+      // GOOD: Unknown, expired, revoked and malformed all look the same
+      return res.json(inspection.active ? introspectionResponse(inspection) : { active: false });
+    }
+  );
+
+  app.post('/oauth/revoke',
+    requireSystemClient([CLIENT_CAPABILITIES.REVOKE_OWN, CLIENT_CAPABILITIES.REVOKE_ANY], options),
+    async (req, res) => {
+      const { token, token_type_hint: hint } = req.body || {};
+      if (typeof token !== 'string' || token.length === 0) {
+        return res.status(400).json({ error: 'invalid_request' });
+      }
+
+      const inspection = await inspectToken(token, hint, req, inspectOptions);
+      if (inspection.unavailable) {
+        res.set('Retry-After', '5');
+        return res.status(503).json({ error: 'temporarily_unavailable' });
+      }
+
+      // GOOD: Invalid or already-revoked tokens get 200 (RFC 7009 section 2.2)
+      if (!inspection.active) {
+        return res.status(200).end();
+      }
+
+      if (!mayRevoke(req.client, inspection)) {
+        SecurityLogger.logAuthorizationDenial(req, req.client.clientId, CLIENT_CAPABILITIES.REVOKE_ANY);
+        return res.status(403).json({ error: 'unauthorized_client' });
+      }
+
+      if (inspection.refresh) {
+        await revokeRefreshToken(token);
+      } else {
+        await revokeSession(inspection.claims);
+      }
+
+      SecurityLogger.logTokenRevoked(req, {
+        clientId: req.client.clientId,
+        system: req.client.system,
+        targetUserId: inspection.claims
+          ? inspection.claims.userId || inspection.claims.sub
+          : inspection.refresh.userId,
+        tokenType: inspection.refresh ? TOKEN_TYPE_HINTS.REFRESH_TOKEN : TOKEN_TYPE_HINTS.ACCESS_TOKEN
+      });
+
+      return res.status(200).end();
+    }
+  );
+
+  return app;
+}
+
+// GOOD: Downstream systems ask instead of holding JWT_SECRET
+// .env (in the downstream service):
+// INTROSPECTION_URL=https://auth.example.com/oauth/introspect
+// INTROSPECTION_CLIENT_ID=customer-portal
+// INTROSPECTION_CLIENT_SECRET=<issued once, stored in the secret manager>
+async function introspectRemotely(token, {
+  url = process.env.INTROSPECTION_URL,
+  clientId = process.env.INTROSPECTION_CLIENT_ID,
+  clientSecret = process.env.INTROSPECTION_CLIENT_SECRET
+} = {}) {
+  const credentials = Buffer.from(
+    `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`
+  ).toString('base64');
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      authorization: `Basic ${credentials}`,
+      'content-type': 'application/x-www-form-urlencoded'
+    },
+    body: new URLSearchParams({ token, token_type_hint: TOKEN_TYPE_HINTS.ACCESS_TOKEN }),
+    signal: AbortSignal.timeout(2000)
+  });
+
+  if (!response.ok) {
+    // GOOD: Errors and outages are failures, never "active"
+    throw new Error(`Introspection failed with status ${response.status}`);
+  }
+  return response.json();
+}
+
+module.exports = {
+  CLIENT_CAPABILITIES,
+  TOKEN_TYPE_HINTS,
+  insecureDownstreamVerify,
+  hashClientSecret,
+  generateClientSecret,
+  validateSystemClients,
+  SystemClientRegistry,
+  loadSystemClientsFromEnv,
+  getDefaultSystemClientRegistry,
+  setDefaultSystemClientRegistry,
+  parseBasicCredentials,
+  requireSystemClient,
+  inspectToken,
+  secureRoutes,
+  introspectRemotely
+};
@@ -0,0 +1,492 @@
+/**
+ * Example: Pluggable Session / Token Store
+ *
+ * This file demonstrates the security issue of hard-wiring session state to a
+ * Redis client created at module load, and shows a small TokenStore interface
+ * with in-memory, Redis and SQL (Sequelize) implementations selected by config.
+ */
+
+const redis = require('redis');
+const { Sequelize, DataTypes, Op } = require('sequelize');
+
+// ============================================================================
+// ❌ INSECURE: Client created at module load, v3-only API
+// ============================================================================
+
+// BAD: The client is created at the top of every session module:
+//   const redisClient = redis.createClient({ host, port });
+// Requiring the module opens a connection, so nothing - including
+// tests - can load without a live Redis, and the client cannot be swapped.
+async function insecureStoreSession(redisClient, token) {
+  // BAD: `setex` only exists on the legacy v3 client.
+  // BAD: Storage engine, key layout and TTL handling are spread across
+  // every file that touches sessions - swapping backends means editing all of them.
+  await redisClient.setex(`token:${token}`, 86400, 'valid');
+}
+
+// ============================================================================
+// ✅ SECURE: One TokenStore interface, several backends
+// ============================================================================
+
+// Every store implements:
+//
+//   issue(session, ttlSeconds)  -> session    (session.sessionId and session.userId required)
+//   get(sessionId)              -> session | null
+//   touch(sessionId, changes, ttlSeconds) -> session | null  (merge + new TTL, never recreates)
+//   revoke(sessionId)           -> boolean
+//   revokeAllForUser(userId)    -> number of sessions revoked
+//   list(userId)                -> session[]  (unexpired only)
+//
+// Session records are plain JSON metadata - never the token itself
+// (see session-keying.example.js).
+
+const TOKEN_STORE_TYPES = {
+  MEMORY: 'memory',
+  REDIS: 'redis',
+  SQL: 'sql'
+};
+
+function assertSessionRecord(session, ttlSeconds) {
+  if (!session || !session.sessionId || session.userId === undefined) {
+    throw new Error('Session record requires sessionId and userId');
+  }
+  assertTtl(ttlSeconds);
+}
+
+function assertTtl(ttlSeconds) {
+  if (!Number.isInteger(ttlSeconds) || ttlSeconds <= 0) {
+    throw new Error('Session TTL must be a positive number of seconds');
+  }
+}
+
+// GOOD: Redis clients are created lazily and connected on first use.
+// Concurrent first requests share one connect() call.
+const pendingConnects = new WeakMap();
+
+function createRedisClient(url = process.env.REDIS_URL || 'redis://localhost:6379') {
+  const client = redis.createClient({ url: url });
+  client.on('error', (error) => {
+    console.error('Redis client error:', error.message);
+  });
+  return client;
+}
+
+async function connectRedisClient(client) {
+  if (client.isOpen) {
+    return client;
+  }
+
+  if (!pendingConnects.has(client)) {
+    pendingConnects.set(
+      client,
+      client.connect().finally(() => pendingConnects.delete(client))
+    );
+  }
+  await pendingConnects.get(client);
+  return client;
+}
+
+// GOOD: Shared client for the Redis primitives that are not sessions
+// (epoch counters, refresh-token markers). Requiring a module never connects.
+let sharedRedisClient = null;
+
+async function getRedisClient() {
+  if (!sharedRedisClient) {
+    sharedRedisClient = createRedisClient();
+  }
+  return connectRedisClient(sharedRedisClient);
+}
+
+// GOOD: In-memory store for tests and single-process development
+class InMemoryTokenStore {
+  constructor({ now = () => Date.now() } = {}) {
+    this.now = now;
+    this.sessions = new Map(); // sessionId -> { session, expiresAt }
+    this.userIndex = new Map(); // userId -> Set<sessionId>
+  }
+
+  async issue(session, ttlSeconds) {
+    assertSessionRecord(session, ttlSeconds);
+
+    this.sessions.set(session.sessionId, {
+      session: { ...session },
+      expiresAt: this.now() + ttlSeconds * 1000
+    });
+
+    const userId = String(session.userId);
+    if (!this.userIndex.has(userId)) {
+      this.userIndex.set(userId, new Set());
+    }
+    this.userIndex.get(userId).add(session.sessionId);
+
+    return session;
+  }
+
+  async get(sessionId) {
+    const entry = this.sessions.get(sessionId);
+    if (!entry) {
+      return null;
+    }
+
+    // GOOD: Expiry is enforced on read, same as a Redis TTL
+    if (entry.expiresAt <= this.now()) {
+      await this.revoke(sessionId);
+      return null;
+    }
+
+    return { ...entry.session };
+  }
+
+  async touch(sessionId, changes, ttlSeconds) {
+    assertTtl(ttlSeconds);
+
+    const session = await this.get(sessionId);
+    if (!session) {
+      return null; // GOOD: A revoked or expired session is never brought back
+    }
+
+    const updated = { ...session, ...changes, sessionId: sessionId };
+    this.sessions.set(sessionId, {
+      session: updated,
+      expiresAt: this.now() + ttlSeconds * 1000
+    });
+    return updated;
+  }
+
+  async revoke(sessionId) {
+    const entry = this.sessions.get(sessionId);
+    if (!entry) {
+      return false;
+    }
+
+    this.sessions.delete(sessionId);
+    this.userIndex.get(String(entry.session.userId))?.delete(sessionId);
+    return true;
+  }
+
+  async revokeAllForUser(userId) {
+    const sessionIds = Array.from(this.userIndex.get(String(userId)) || []);
+    for (const sessionId of sessionIds) {
+      this.sessions.delete(sessionId);
+    }
+    this.userIndex.delete(String(userId));
+    return sessionIds.length;
+  }
+
+  async list(userId) {
+    const sessions = [];
+    for (const sessionId of Array.from(this.userIndex.get(String(userId)) || [])) {
+      const session = await this.get(sessionId);
+      if (session) {
+        sessions.push(session);
+      }
+    }
+    return sessions;
+  }
+}
+
+// GOOD: Redis store on the current (v4+) promise-based client API.
+// Without an explicit client or url it uses the shared client.
+class RedisTokenStore {
+  constructor({ client = null, url = null, keyPrefix = '' } = {}) {
+    this.client = client || (url ? createRedisClient(url) : null);
+    this.keyPrefix = keyPrefix;
+  }
+
+  async getClient() {
+    return this.client ? connectRedisClient(this.client) : getRedisClient();
+  }
+
+  sessionKey(sessionId) {
+    return `${this.keyPrefix}session:${sessionId}`;
+  }
+
+  userSessionsKey(userId) {
+    return `${this.keyPrefix}user-sessions:${userId}`;
+  }
+
+  // GOOD: Per-user index lives at least as long as its newest session
+  async extendUserIndex(client, userId, ttlSeconds) {
+    const indexKey = this.userSessionsKey(userId);
+    const indexTtl = await client.ttl(indexKey);
+    if (indexTtl < ttlSeconds) {
+      await client.expire(indexKey, ttlSeconds);
+    }
+  }
+
+  async issue(session, ttlSeconds) {
+    assertSessionRecord(session, ttlSeconds);
+    const client = await this.getClient();
+
+    await client.set(this.sessionKey(session.sessionId), JSON.stringify(session), {
+      EX: ttlSeconds
+    });
+
+    await client.sAdd(this.userSessionsKey(session.userId), session.sessionId);
+    await this.extendUserIndex(client, session.userId, ttlSeconds);
+
+    return session;
+  }
+
+  async get(sessionId) {
+    const client = await this.getClient();
+    const raw = await client.get(this.sessionKey(sessionId));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async touch(sessionId, changes, ttlSeconds) {
+    assertTtl(ttlSeconds);
+    const client = await this.getClient();
+
+    const session = await this.get(sessionId);
+    if (!session) {
+      return null;
+    }
+
+    // GOOD: XX - only overwrite if the key still exists, so a session
+    // revoked in the meantime is not recreated
+    const updated = { ...session, ...changes, sessionId: sessionId };
+    const written = await client.set(this.sessionKey(sessionId), JSON.stringify(updated), {
+      XX: true,
+      EX: ttlSeconds
+    });
+    if (!written) {
+      return null;
+    }
+
+    // GOOD: A sliding session must not outlive its index entry - otherwise
+    // revokeAllForUser() and list() stop seeing it once the index expires
+    await this.extendUserIndex(client, updated.userId, ttlSeconds);
+
+    return updated;
+  }
+
+  async revoke(sessionId) {
+    const client = await this.getClient();
+    const session = await this.get(sessionId);
+    const deleted = await client.del(this.sessionKey(sessionId));
+
+    if (session) {
+      await client.sRem(this.userSessionsKey(session.userId), sessionId);
+    }
+
+    return deleted > 0;
+  }
+
+  async revokeAllForUser(userId) {
+    const client = await this.getClient();
+    const sessionIds = await client.sMembers(this.userSessionsKey(userId));
+
+    if (sessionIds.length > 0) {
+      await client.del(sessionIds.map(sessionId => this.sessionKey(sessionId)));
+    }
+    await client.del(this.userSessionsKey(userId));
+
+    return sessionIds.length;
+  }
+
+  async list(userId) {
+    const client = await this.getClient();
+    const indexKey = this.userSessionsKey(userId);
+    const sessionIds = await client.sMembers(indexKey);
+    const sessions = [];
+
+    for (const sessionId of sessionIds) {
+      const session = await this.get(sessionId);
+      if (!session) {
+        // Session key expired on its own - drop the stale index entry
+        await client.sRem(indexKey, sessionId);
+        continue;
+      }
+      sessions.push(session);
+    }
+
+    return sessions;
+  }
+}
+
+// GOOD: SQL store via Sequelize - sessions survive a Redis flush and can be
+// queried alongside user data. Expired rows are ignored on read and purged
+// by purgeExpired() (run it from a scheduled job).
+class SequelizeTokenStore {
+  constructor({ sequelize, tableName = 'sessions', now = () => Date.now() }) {
+    if (!sequelize) {
+      throw new Error('SequelizeTokenStore requires a Sequelize instance');
+    }
+
+    this.now = now;
+    this.Session = sequelize.define('Session', {
+      sessionId: {
+        type: DataTypes.STRING(64),
+        primaryKey: true
+      },
+      userId: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      data: {
+        type: DataTypes.JSON,
+        allowNull: false
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      }
+    }, {
+      tableName: tableName,
+      indexes: [{ fields: ['userId'] }, { fields: ['expiresAt'] }]
+    });
+  }
+
+  notExpired() {
+    return { expiresAt: { [Op.gt]: new Date(this.now()) } };
+  }
+
+  async issue(session, ttlSeconds) {
+    assertSessionRecord(session, ttlSeconds);
+
+    await this.Session.upsert({
+      sessionId: session.sessionId,
+      userId: String(session.userId),
+      data: session,
+      expiresAt: new Date(this.now() + ttlSeconds * 1000)
+    });
+
+    return session;
+  }
+
+  async get(sessionId) {
+    // GOOD: Parameterized lookup through the model - no raw SQL
+    const row = await this.Session.findOne({
+      where: { sessionId: sessionId, ...this.notExpired() }
+    });
+    return row ? row.data : null;
+  }
+
+  async touch(sessionId, changes, ttlSeconds) {
+    assertTtl(ttlSeconds);
+
+    const session = await this.get(sessionId);
+    if (!session) {
+      return null;
+    }
+
+    const updated = { ...session, ...changes, sessionId: sessionId };
+    const [updatedRows] = await this.Session.update({
+      data: updated,
+      expiresAt: new Date(this.now() + ttlSeconds * 1000)
+    }, {
+      where: { sessionId: sessionId, ...this.notExpired() }
+    });
+
+    return updatedRows > 0 ? updated : null;
+  }
+
+  async revoke(sessionId) {
+    const deleted = await this.Session.destroy({ where: { sessionId: sessionId } });
+    return deleted > 0;
+  }
+
+  async revokeAllForUser(userId) {
+    return this.Session.destroy({ where: { userId: String(userId) } });
+  }
+
+  async list(userId) {
+    const rows = await this.Session.findAll({
+      where: { userId: String(userId), ...this.notExpired() },
+      order: [['expiresAt', 'DESC']]
+    });
+    return rows.map(row => row.data);
+  }
+
+  async purgeExpired() {
+    return this.Session.destroy({
+      where: { expiresAt: { [Op.lte]: new Date(this.now()) } }
+    });
+  }
+}
+
+// ============================================================================
+// Selecting a store through configuration
+// ============================================================================
+
+function createTokenStore({ type = TOKEN_STORE_TYPES.MEMORY, ...options } = {}) {
+  switch (type) {
+    case TOKEN_STORE_TYPES.MEMORY:
+      // GOOD: An in-memory store cannot be shared between instances -
+      // revocation on one node would not reach the others
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('In-memory token store is not allowed in production');
+      }
+      return new InMemoryTokenStore(options);
+    case TOKEN_STORE_TYPES.REDIS:
+      return new RedisTokenStore(options);
+    case TOKEN_STORE_TYPES.SQL:
+      return new SequelizeTokenStore(options);
+    default:
+      // GOOD: Unknown backend is a startup error, not a silent fallback
+      throw new Error(`Unknown token store type: ${type}`);
+  }
+}
+
+// GOOD: Backend chosen by environment
+// .env:
+// TOKEN_STORE=redis            (memory | redis | sql)
+// REDIS_URL=redis://localhost:6379
+// DATABASE_URL=postgres://...  (when TOKEN_STORE=sql)
+function loadTokenStoreFromEnv() {
+  const type = process.env.TOKEN_STORE || TOKEN_STORE_TYPES.REDIS;
+
+  if (type === TOKEN_STORE_TYPES.SQL) {
+    return createTokenStore({
+      type: type,
+      sequelize: new Sequelize(process.env.DATABASE_URL, { logging: false })
+    });
+  }
+
+  return createTokenStore({ type: type });
+}
+
+// GOOD: One shared store per process, created on first use - requiring a
+// module never opens a connection. Tests swap it with setDefaultTokenStore().
+let defaultTokenStore = null;
+
+function getDefaultTokenStore() {
+  if (!defaultTokenStore) {
+    defaultTokenStore = loadTokenStoreFromEnv();
+  }
+  return defaultTokenStore;
+}
+
+function setDefaultTokenStore(store) {
+  defaultTokenStore = store;
+}
+
+// GOOD: A hung store must not hang the request. Every store call on the
+// request path is bounded - lookups, touches and revocations alike.
+const DEFAULT_STORE_TIMEOUT_MS = 500;
+
+function withStoreTimeout(promise, timeoutMs = DEFAULT_STORE_TIMEOUT_MS) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Session store timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = {
+  TOKEN_STORE_TYPES,
+  insecureStoreSession,
+  createRedisClient,
+  connectRedisClient,
+  getRedisClient,
+  InMemoryTokenStore,
+  RedisTokenStore,
+  SequelizeTokenStore,
+  createTokenStore,
+  loadTokenStoreFromEnv,
+  getDefaultTokenStore,
+  setDefaultTokenStore,
+  DEFAULT_STORE_TIMEOUT_MS,
+  withStoreTimeout
+};
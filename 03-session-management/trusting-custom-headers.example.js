@@ -5,7 +5,10 @@
  * for system identity and shows the correct approach using authenticated tokens.
  */
 
-const jwt = require('jsonwebtoken');
+const {
+  signToken,
+  verifyToken
+} = require('../01-authentication/hardened-token-verification.example');
 
 // ============================================================================
 // ❌ INSECURE: Trusting custom headers for system identity
@@ -58,12 +61,11 @@ function insecureRouteWithHeaderCheck() {
 
 function secureLogin(userId, systemName) {
   // GOOD: Include system identity in JWT token (authenticated)
-  const token = jwt.sign(
+  const token = signToken(
     { 
       userId: userId,
       system: systemName // System identity in token, not header
     },
-    process.env.JWT_SECRET,
     { expiresIn: '24h' }
   );
   return token;
@@ -129,11 +131,11 @@ function secureRoutes() {
   app.use((req, res, next) => {
     const token = req.headers.authorization?.split(' ')[1];
     if (token) {
-      try {
-        req.user = jwt.verify(token, process.env.JWT_SECRET);
-      } catch (error) {
-        // Invalid token
+      const result = verifyToken(token);
+      if (result.ok) {
+        req.user = result.claims;
       }
+      // Invalid token: req.user stays unset, requireSystem returns 401
     }
     next();
   });
@@ -178,8 +180,10 @@ function badPattern3(req, res) {
   // BAD: Trusting custom API key in header
   const apiKey = req.headers['x-api-key'];
   if (apiKey === process.env.INTERNAL_API_KEY) {
-    // This is better, but still not ideal - API key can be leaked
-    // Better to use proper authentication with system identity in token
+    // BAD: One key shared by every internal caller - it can leak, it says
+    // nothing about which system called, and it never expires.
+    // Use registered clients and the client_credentials grant instead
+    // (see 01-authentication/client-credentials-grant.example.js)
     return res.json({ internalData: 'data' });
   }
   return res.status(403).json({ error: 'Forbidden' });
@@ -189,16 +193,20 @@ function badPattern3(req, res) {
 // Best Practice: System Identity in Token
 // ============================================================================
 
-function secureLoginWithSystem(userId, systemName, permissions) {
+// `client` is the authenticated system client (req.client from requireSystemClient),
+// never a name taken from the request
+function secureLoginWithSystem(userId, client, permissions) {
   // GOOD: All identity information in authenticated token
-  const token = jwt.sign(
+  const token = signToken(
     { 
       userId: userId,
-      system: systemName, // System identity
-      permissions: permissions // Permissions
+      system: client.system, // System identity from the client's registration
+      // GOOD: A system cannot hand out permissions it is not registered for
+      permissions: permissions.filter(permission => client.permissions.includes(permission))
     },
-    process.env.JWT_SECRET,
-    { expiresIn: '24h' }
+    // GOOD: Encrypted - clients carry the token but cannot read the
+    // permission model out of it (see 01-authentication/encrypted-tokens.example.js)
+    { expiresIn: '24h', encrypt: true }
   );
   return token;
 }
@@ -209,14 +217,15 @@ function secureMiddleware(req, res, next) {
     return res.status(401).json({ error: 'No token' });
   }
   
-  try {
-    // GOOD: Extract all identity from token
-    req.user = jwt.verify(token, process.env.JWT_SECRET);
-    // System identity is now in req.user.system (authenticated, not from header)
-    next();
-  } catch (error) {
+  const result = verifyToken(token);
+  if (!result.ok) {
     return res.status(401).json({ error: 'Invalid token' });
   }
+  
+  // GOOD: Extract all identity from token
+  req.user = result.claims;
+  // System identity is now in req.user.system (authenticated, not from header)
+  next();
 }
 
 module.exports = {
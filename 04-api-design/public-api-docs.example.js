@@ -73,7 +73,7 @@ function secureSwaggerSetup() {
 // ✅ SECURE: Documentation with authentication
 // ============================================================================
 
-const jwt = require('jsonwebtoken');
+const { verifyToken } = require('../01-authentication/hardened-token-verification.example');
 
 function requireAuth(req, res, next) {
   const token = req.headers.authorization?.split(' ')[1];
@@ -81,12 +81,13 @@ function requireAuth(req, res, next) {
     return res.status(401).json({ error: 'Authentication required' });
   }
   
-  try {
-    req.user = jwt.verify(token, process.env.JWT_SECRET);
-    next();
-  } catch (error) {
+  const result = verifyToken(token);
+  if (!result.ok) {
     return res.status(401).json({ error: 'Invalid token' });
   }
+  
+  req.user = result.claims;
+  next();
 }
 
 function requireAdmin(req, res, next) {
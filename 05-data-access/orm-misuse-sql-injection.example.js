@@ -105,6 +105,13 @@ async function secureDynamicQuery(filters) {
 // ============================================================================
 
 const express = require('express');
+const { OtpService, OTP_PURPOSES } = require('../01-authentication/one-time-codes.example');
+const { SecurityLogger } = require('../07-detection-and-logging/missing-security-logs.example');
+const {
+  FAILURE_KINDS,
+  getDefaultAuthFailureTracker,
+  sendLockedResponse
+} = require('../01-authentication/brute-force-lockout.example');
 
 // ❌ INSECURE Route
 function insecureRoute() {
@@ -117,10 +124,11 @@ function insecureRoute() {
     const user = await insecureFindUser(userName);
     
     if (user.length > 0) {
-      // Generate OTP...
+      // BAD: No real code - and nothing limits or expires it (see one-time-codes)
       return res.json({ message: 'OTP generated' });
     }
     
+    // BAD: 404 tells anyone which emails are registered
     return res.status(404).json({ error: 'User not found' });
   });
   
@@ -128,21 +136,67 @@ function insecureRoute() {
 }
 
 // ✅ SECURE Route
-function secureRoute() {
+// `sendCode(user, code, purpose)` hands the code to the email provider
+function secureRoute({ sendCode, failureTracker = getDefaultAuthFailureTracker() } = {}) {
   const app = express();
+  app.use(express.json({ limit: '10kb' }));
   
-  app.get('/api/users/generateOTP', async (req, res) => {
-    const userName = req.query.email;
-    
+  const otpService = new OtpService({
     // GOOD: Uses parameterized query
-    const user = await secureFindUser(userName);
+    findUserByEmail: async (email) => (await secureFindUser(email))[0] || null,
+    sendCode: sendCode
+  });
+  
+  // GOOD: POST - issuing a code changes state, and the email stays out of
+  // URLs, access logs and browser history
+  app.post('/api/users/generateOTP', async (req, res) => {
+    const { email } = req.body || {};
     
-    if (user.length > 0) {
-      // Generate OTP...
-      return res.json({ message: 'OTP generated' });
+    if (typeof email !== 'string' || !validateEmail(email)) {
+      return res.status(400).json({ error: 'Invalid email format' });
     }
     
-    return res.status(404).json({ error: 'User not found' });
+    try {
+      await otpService.issue(email, OTP_PURPOSES.LOGIN, req);
+    } catch (error) {
+      // GOOD: A store or database error must not become a 500 that only
+      // known accounts can trigger - log it and answer like any other request
+      SecurityLogger.logDegradation(req, 'otp-store', {
+        event: 'OTP_ISSUE_FAILED',
+        error: error.message
+      });
+    }
+    
+    // GOOD: Same status and body whether or not the account exists
+    return res.status(202).json({ message: 'If the account exists, a code has been sent' });
+  });
+  
+  app.post('/api/users/verifyOTP', async (req, res) => {
+    const { email, code } = req.body || {};
+    
+    if (typeof email !== 'string' || !validateEmail(email)) {
+      return res.status(400).json({ error: 'Invalid email format' });
+    }
+    
+    // GOOD: Code guesses count against the account and the IP, like passwords
+    const attempt = { account: email, ip: req.ip };
+    const decision = await failureTracker.check(attempt);
+    if (!decision.allowed) {
+      return sendLockedResponse(res, decision);
+    }
+    
+    const result = await otpService.verify(email, code, OTP_PURPOSES.LOGIN, req);
+    if (!result.ok) {
+      SecurityLogger.logAuthFailure(req, 'INVALID_OTP');
+      await failureTracker.recordFailure({ ...attempt, kind: FAILURE_KINDS.OTP }, req);
+      // GOOD: One message for wrong, expired, used and locked-out codes
+      return res.status(401).json({ error: 'Invalid or expired code' });
+    }
+    
+    await failureTracker.recordSuccess(attempt);
+    SecurityLogger.logAuthSuccess(req, result.userId);
+    // Continue the flow for result.userId (e.g. issue a session)
+    return res.json({ verified: true });
   });
   
   return app;
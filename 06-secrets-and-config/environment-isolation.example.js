@@ -6,6 +6,12 @@
  */
 
 const jwt = require('jsonwebtoken');
+const {
+  TOKEN_FAILURE,
+  loadTokenPolicyFromEnv,
+  createTokenVerifier,
+  createTokenIssuer
+} = require('../01-authentication/hardened-token-verification.example');
 const crypto = require('crypto');
 
 // ============================================================================
@@ -57,12 +63,17 @@ function secureGenerateToken(userId) {
     throw new Error(`JWT_SECRET not configured for environment: ${CURRENT_ENV}`);
   }
   
-  const token = jwt.sign(
+  // GOOD: Shared issuer adds iss, aud, iat and jti
+  const issuer = createTokenIssuer({
+    ...loadTokenPolicyFromEnv(),
+    getSigningKey: () => ({ key: secret }) // Environment-specific secret
+  });
+  
+  const token = issuer.sign(
     { 
       userId: userId,
       env: CURRENT_ENV // Include environment in token
     },
-    secret, // Environment-specific secret
     { expiresIn: '24h' }
   );
   return token;
@@ -76,18 +87,24 @@ function secureVerifyToken(token) {
     throw new Error(`JWT_SECRET not configured for environment: ${CURRENT_ENV}`);
   }
   
-  try {
-    const decoded = jwt.verify(token, secret);
-    
-    // GOOD: Also verify token was issued for this environment
-    if (decoded.env !== CURRENT_ENV) {
-      return null; // Reject tokens from other environments
-    }
-    
-    return decoded;
-  } catch (error) {
-    return null;
+  // GOOD: Shared verifier with pinned algorithm, issuer and audience
+  const verifier = createTokenVerifier({
+    ...loadTokenPolicyFromEnv(),
+    getKey: () => secret
+  });
+  
+  const result = verifier.verify(token);
+  if (!result.ok) {
+    return result;
   }
+  
+  // GOOD: Also verify token was issued for this environment
+  if (result.claims.env !== CURRENT_ENV) {
+    // Reject tokens from other environments
+    return { ok: false, reason: TOKEN_FAILURE.ENVIRONMENT_MISMATCH };
+  }
+  
+  return result;
 }
 
 // ============================================================================
@@ -134,12 +151,12 @@ function secureAuthMiddleware(req, res, next) {
     return res.status(401).json({ error: 'No token provided' });
   }
   
-  const decoded = secureVerifyToken(token);
-  if (!decoded) {
+  const result = secureVerifyToken(token);
+  if (!result.ok) {
     return res.status(401).json({ error: 'Invalid token or wrong environment' });
   }
   
-  req.user = decoded;
+  req.user = result.claims;
   next();
 }
 
@@ -263,11 +280,14 @@ function blockCrossEnvironmentAccess(req, res, next) {
       });
     }
     
-    // Now verify with correct secret
-    const secret = ENV_SECRETS[CURRENT_ENV];
-    jwt.verify(token, secret);
+    // Now verify with correct secret through the shared verifier
+    const result = secureVerifyToken(token);
+    if (!result.ok) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
     
-    req.user = decoded;
+    // GOOD: Use verified claims, never the unverified decode
+    req.user = result.claims;
     next();
   } catch (error) {
     return res.status(401).json({ error: 'Invalid token' });
@@ -0,0 +1,141 @@
+/**
+ * Example: Secret Rotation with a Multi-Key Keyring
+ *
+ * This file demonstrates the security issue of rotating a single JWT secret
+ * (which invalidates every live token at once) and shows how to use a keyring
+ * with `kid` headers and an overlap window for zero-downtime rotation.
+ */
+
+const jwt = require('jsonwebtoken');
+const {
+  DEFAULT_OVERLAP_MS,
+  deriveKeyId,
+  SigningKeyring,
+  loadKeyringFromEnv
+} = require('../01-authentication/hardened-token-verification.example');
+
+// ============================================================================
+// ❌ INSECURE: One secret, no key id
+// ============================================================================
+
+function insecureGenerateToken(userId) {
+  // BAD: No kid - verifier cannot tell which secret signed this token
+  const token = jwt.sign(
+    { userId: userId },
+    process.env.JWT_SECRET,
+    { expiresIn: '1h' }
+  );
+  return token;
+}
+
+function insecureVerifyToken(token) {
+  try {
+    // BAD: Only the current secret is known.
+    // The moment JWT_SECRET changes, every live token fails.
+    return jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+}
+
+function insecureVerifyWithFallback(token) {
+  // BAD: "Support both during transition" with no end date -
+  // the old secret keeps working forever
+  try {
+    return jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    try {
+      return jwt.verify(token, process.env.JWT_SECRET_OLD);
+    } catch (fallbackError) {
+      return null;
+    }
+  }
+}
+
+// ============================================================================
+// ✅ SECURE: Keyring with kid, overlap window and automatic retirement
+// ============================================================================
+
+// GOOD: SigningKeyring and loadKeyringFromEnv() live in the shared token module
+// (hardened-token-verification), so the default signToken()/verifyToken() are
+// built on the same keyring and a rotation reaches every middleware.
+// A keyring holds one current key (signs, stamps its kid) plus previous keys
+// accepted until their overlap window ends, then dropped automatically.
+
+// ============================================================================
+// Token issuance and verification through the keyring
+// ============================================================================
+
+function secureGenerateToken(keyring, userId) {
+  // GOOD: Signed with the current key, kid in header
+  return keyring.sign({ userId: userId });
+}
+
+function secureVerifyToken(keyring, token) {
+  // GOOD: Tokens signed by the previous key still verify during the overlap.
+  // A retired or unknown kid fails with TOKEN_FAILURE.UNKNOWN_KEY
+  return keyring.verify(token);
+}
+
+// ============================================================================
+// Express Middleware Example
+// ============================================================================
+
+// ❌ INSECURE Middleware
+function insecureAuthMiddleware(req, res, next) {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (!token) {
+    return res.status(401).json({ error: 'No token provided' });
+  }
+
+  const decoded = insecureVerifyToken(token);
+  if (!decoded) {
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+
+  req.user = decoded;
+  next(); // Every user is logged out right after a rotation!
+}
+
+// ✅ SECURE Middleware
+function secureAuthMiddleware(secretManager) {
+  return (req, res, next) => {
+    const token = req.headers.authorization?.split(' ')[1];
+    if (!token) {
+      return res.status(401).json({ error: 'No token provided' });
+    }
+
+    const result = secureVerifyToken(secretManager.getKeyring(), token);
+    if (!result.ok) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    req.user = result.claims;
+    next();
+  };
+}
+
+// ============================================================================
+// Rotation Procedure
+// ============================================================================
+
+// 1. Generate a new secret:
+//    node -e "console.log(require('crypto').randomBytes(32).toString('hex'))"
+// 2. Deploy with JWT_PREVIOUS_SECRET=<old>, JWT_PREVIOUS_SECRET_RETIRED_AT=<now>,
+//    JWT_SECRET=<new>
+// 3. After JWT_KEY_OVERLAP_HOURS have passed, remove JWT_PREVIOUS_SECRET
+//    (the keyring has already stopped accepting it)
+
+module.exports = {
+  DEFAULT_OVERLAP_MS,
+  insecureGenerateToken,
+  insecureVerifyToken,
+  insecureVerifyWithFallback,
+  deriveKeyId,
+  SigningKeyring,
+  loadKeyringFromEnv,
+  secureGenerateToken,
+  secureVerifyToken,
+  insecureAuthMiddleware,
+  secureAuthMiddleware
+};
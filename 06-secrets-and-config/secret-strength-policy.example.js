@@ -7,6 +7,16 @@
 
 const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const {
+  loadTokenPolicyFromEnv,
+  createTokenIssuer,
+  setDefaultKeyring
+} = require('../01-authentication/hardened-token-verification.example');
+const { loadKeyringFromEnv } = require('./secret-rotation-keyring.example');
+const {
+  CredentialVerifier,
+  secureLoginRoute
+} = require('../01-authentication/password-credentials.example');
 
 // ============================================================================
 // ❌ INSECURE: Weak secrets
@@ -131,8 +141,9 @@ function generateAndDisplaySecret() {
 
 const express = require('express');
 
-function createSecureApp() {
+function createSecureApp({ userRepository } = {}) {
   const app = express();
+  app.use(express.json({ limit: '10kb' }));
   
   // GOOD: Validate secret on startup
   try {
@@ -144,18 +155,22 @@ function createSecureApp() {
       next();
     });
     
-    app.post('/api/login', (req, res) => {
-      const { userId } = req.body;
-      
+    // GOOD: Shared issuer adds iss, aud, iat and jti
+    const issuer = createTokenIssuer({
+      ...loadTokenPolicyFromEnv(),
+      getSigningKey: () => ({ key: config.jwtSecret }) // Strong, validated secret
+    });
+    
+    // GOOD: Credentials are verified before anything is signed
+    const credentialVerifier = new CredentialVerifier({ userRepository });
+    
+    app.post('/api/login', secureLoginRoute(credentialVerifier, (user) => ({
       // GOOD: Use strong secret
-      const token = jwt.sign(
-        { userId: userId },
-        config.jwtSecret, // Strong, validated secret
+      token: issuer.sign(
+        { userId: user.id },
         { expiresIn: '1h' }
-      );
-      
-      return res.json({ token });
-    });
+      )
+    })));
     
   } catch (error) {
     console.error('Failed to initialize app:', error.message);
@@ -169,23 +184,24 @@ function createSecureApp() {
 // Secret Rotation Example
 // ============================================================================
 
-function rotateSecret(oldSecret, newSecret) {
+function rotateSecret(keyring, newSecret) {
   // GOOD: Validate new secret before rotation
   validateSecretStrength(newSecret);
   
-  // GOOD: Ensure new secret is different
-  if (oldSecret === newSecret) {
-    throw new Error('New secret must be different from old secret');
-  }
+  // GOOD: New key signs from now on, previous key keeps verifying
+  // existing tokens until the keyring's overlap window ends
+  // (see secret-rotation-keyring.example.js)
+  const result = keyring.rotate(newSecret);
   
-  // In production, you would:
-  // 1. Update environment variable
-  // 2. Restart services
-  // 3. Invalidate old tokens (or support both during transition)
+  // In production, you would also:
+  // 1. Store the new secret in the secret manager / environment
+  // 2. Set JWT_PREVIOUS_SECRET and JWT_PREVIOUS_SECRET_RETIRED_AT for other instances
   
   return {
-    oldSecret: oldSecret.substring(0, 8) + '...', // Don't log full secret
-    newSecret: newSecret.substring(0, 8) + '...',
+    newSecret: newSecret.substring(0, 8) + '...', // Don't log full secret
+    currentKid: result.currentKid,
+    previousKid: result.previousKid,
+    previousAcceptedUntil: result.previousAcceptedUntil,
     rotated: true
   };
 }
@@ -197,6 +213,7 @@ function rotateSecret(oldSecret, newSecret) {
 class SecretManager {
   constructor() {
     this.secret = null;
+    this.keyring = null;
   }
   
   loadSecret() {
@@ -209,6 +226,14 @@ class SecretManager {
     // GOOD: Validate on load
     validateSecretStrength(secret);
     
+    // GOOD: Keyring holds the current key plus any previous key
+    // still inside its overlap window
+    this.keyring = loadKeyringFromEnv({ validateSecret: validateSecretStrength });
+    
+    // GOOD: signToken()/verifyToken() use this keyring, so rotate() below
+    // reaches every middleware, not just routes holding the manager
+    setDefaultKeyring(this.keyring);
+    
     this.secret = secret;
     return this.secret;
   }
@@ -220,6 +245,21 @@ class SecretManager {
     return this.secret;
   }
   
+  // GOOD: Sign and verify through the keyring, not the raw secret,
+  // so rotation does not invalidate live tokens
+  getKeyring() {
+    if (!this.keyring) {
+      this.loadSecret();
+    }
+    return this.keyring;
+  }
+  
+  rotate(newSecret) {
+    const result = rotateSecret(this.getKeyring(), newSecret);
+    this.secret = newSecret;
+    return result;
+  }
+  
   generateNewSecret() {
     return generateStrongSecret(32);
   }
@@ -7,6 +7,11 @@
 
 const express = require('express');
 const jwt = require('jsonwebtoken');
+const {
+  verifyToken,
+  tokenTransportOptions,
+  runTokenChecks
+} = require('../01-authentication/hardened-token-verification.example');
 
 // ============================================================================
 // ❌ INSECURE: No security logging
@@ -97,47 +102,149 @@ class SecurityLogger {
       path: req.path
     }));
   }
-}
-
-function secureAuthMiddleware(req, res, next) {
-  const token = req.headers.authorization?.split(' ')[1];
   
-  if (!token) {
-    // GOOD: Log authentication failure
-    SecurityLogger.logAuthFailure(req, 'NO_TOKEN_PROVIDED');
-    return res.status(401).json({ error: 'No token provided' });
+  // GOOD: Lockouts, delays, distributed failures and admin unlocks -
+  // the account is logged as a hash, never the raw login
+  static logLockout(req, event, details) {
+    console.log(JSON.stringify({
+      type: 'AUTH_LOCKOUT',
+      timestamp: new Date().toISOString(),
+      userId: req.user?.userId,
+      ip: req.ip,
+      event: event,
+      details: details,
+      path: req.path
+    }));
   }
   
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
+  // GOOD: Every time a security control runs in a degraded mode
+  // (e.g. session store down, served from cache) it leaves a trail
+  static logDegradation(req, component, details) {
+    console.log(JSON.stringify({
+      type: 'SECURITY_DEGRADED',
+      timestamp: new Date().toISOString(),
+      userId: req.user?.userId,
+      ip: req.ip,
+      component: component,
+      details: details,
+      path: req.path
+    }));
+  }
+  
+  // GOOD: Revocations by a client through the token API - which client
+  // revoked whose token
+  static logTokenRevoked(req, details) {
+    console.log(JSON.stringify({
+      type: 'TOKEN_REVOKED',
+      timestamp: new Date().toISOString(),
+      userId: req.user?.userId,
+      ip: req.ip,
+      details: details,
+      path: req.path
+    }));
+  }
+  
+  // GOOD: Every machine token minted - which client, for which system and scope
+  static logSystemTokenIssued(req, details) {
+    console.log(JSON.stringify({
+      type: 'SYSTEM_TOKEN_ISSUED',
+      timestamp: new Date().toISOString(),
+      ip: req.ip,
+      details: details,
+      path: req.path
+    }));
+  }
+  
+  // GOOD: Who revoked which API key, and whose key it was
+  static logApiKeyRevoked(req, details) {
+    console.log(JSON.stringify({
+      type: 'API_KEY_REVOKED',
+      timestamp: new Date().toISOString(),
+      userId: req.user?.userId,
+      ip: req.ip,
+      details: details,
+      path: req.path
+    }));
+  }
+  
+  // GOOD: Every "log out everywhere" - whose sessions ended, why, and who
+  // triggered it (may run outside a request, e.g. from a job)
+  static logSessionsRevoked(req, details) {
+    console.log(JSON.stringify({
+      type: 'SESSIONS_REVOKED',
+      timestamp: new Date().toISOString(),
+      userId: req.user?.userId,
+      ip: req.ip,
+      details: details,
+      path: req.path
+    }));
+  }
+}
+
+// `options` opts in to DPoP and cookie transports (see tokenTransportOptions)
+function createSecureAuthMiddleware(options) {
+  const checks = tokenTransportOptions(options);
+  
+  return async (req, res, next) => {
+    const { token, transport } = checks.readToken(req);
+    
+    if (!token) {
+      // GOOD: Log authentication failure
+      SecurityLogger.logAuthFailure(req, 'NO_TOKEN_PROVIDED');
+      return res.status(401).json({ error: 'No token provided' });
+    }
+    
+    const result = verifyToken(token, checks.verifyOptions);
+    if (!result.ok) {
+      // GOOD: Log token validation failure with typed reason
+      SecurityLogger.logTokenValidationFailure(req, result.reason);
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+    
+    // GOOD: DPoP proof for key-bound tokens, CSRF token for cookie-carried ones
+    if (!(await runTokenChecks(req, res, { token, claims: result.claims, transport }, checks))) {
+      return;
+    }
+    
+    req.user = result.claims;
     
     // GOOD: Log successful authentication
-    SecurityLogger.logAuthSuccess(req, decoded.userId);
+    SecurityLogger.logAuthSuccess(req, result.claims.userId);
     
     next();
-  } catch (error) {
-    // GOOD: Log token validation failure with reason
-    SecurityLogger.logTokenValidationFailure(req, error.name);
-    return res.status(401).json({ error: 'Invalid token' });
-  }
+  };
+}
+
+function secureAuthMiddleware(req, res, next) {
+  return createSecureAuthMiddleware()(req, res, next);
 }
 
-function secureAuthorizationCheck(requiredPermission) {
-  return (req, res, next) => {
+// `resolver` is a PermissionResolver (see over-privileged-tokens.example.js).
+// It is required: without one the only permissions left are the token's own.
+function secureAuthorizationCheck(requiredPermission, { resolver } = {}) {
+  if (!resolver || typeof resolver.resolve !== 'function') {
+    throw new Error('secureAuthorizationCheck requires a permission resolver');
+  }
+  
+  return async (req, res, next) => {
     if (!req.user) {
       SecurityLogger.logAuthFailure(req, 'NOT_AUTHENTICATED');
       return res.status(401).json({ error: 'Not authenticated' });
     }
     
-    const userPermissions = req.user.permissions || [];
-    if (!userPermissions.includes(requiredPermission)) {
-      // GOOD: Log authorization denial
-      SecurityLogger.logAuthorizationDenial(req, req.user.userId, requiredPermission);
-      return res.status(403).json({ error: 'Insufficient permissions' });
+    try {
+      // GOOD: The user's current permissions, not the ones in the token
+      const { permissions } = await resolver.resolve(req.user);
+      if (!permissions.includes(requiredPermission)) {
+        // GOOD: Log authorization denial
+        SecurityLogger.logAuthorizationDenial(req, req.user.userId, requiredPermission);
+        return res.status(403).json({ error: 'Insufficient permissions' });
+      }
+      
+      next();
+    } catch (error) {
+      next(error);
     }
-    
-    next();
   };
 }
 
@@ -156,13 +263,13 @@ function insecureRoutes() {
   return app;
 }
 
-function secureRoutes() {
+function secureRoutes({ resolver } = {}) {
   const app = express();
   
   // GOOD: With security logging
   app.get('/api/admin/data',
     secureAuthMiddleware,
-    secureAuthorizationCheck('admin:access'),
+    secureAuthorizationCheck('admin:access', { resolver }),
     (req, res) => {
       return res.json({ data: 'admin data' });
     }
@@ -175,6 +282,8 @@ function secureRoutes() {
 // Advanced: Rate limiting detection
 // ============================================================================
 
+// Per-IP, per-process only - an attacker rotating IPs against one account
+// is never counted. See 01-authentication/brute-force-lockout.example.js.
 class RateLimitTracker {
   constructor() {
     this.attempts = new Map(); // ip -> { count, firstAttempt }
@@ -223,14 +332,10 @@ function secureAuthMiddlewareWithRateLimit(req, res, next) {
     return res.status(401).json({ error: 'No token provided' });
   }
   
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    SecurityLogger.logAuthSuccess(req, decoded.userId);
-    next();
-  } catch (error) {
+  const result = verifyToken(token);
+  if (!result.ok) {
     const attempts = rateLimitTracker.recordAttempt(req.ip);
-    SecurityLogger.logTokenValidationFailure(req, error.name);
+    SecurityLogger.logTokenValidationFailure(req, result.reason);
     
     if (attempts > 5) {
       return res.status(429).json({ error: 'Too many requests' });
@@ -238,6 +343,10 @@ function secureAuthMiddlewareWithRateLimit(req, res, next) {
     
     return res.status(401).json({ error: 'Invalid token' });
   }
+  
+  req.user = result.claims;
+  SecurityLogger.logAuthSuccess(req, result.claims.userId);
+  next();
 }
 
 // ============================================================================
@@ -298,21 +407,21 @@ function secureMiddlewareWithStructuredLogging(req, res, next) {
     return res.status(401).json({ error: 'No token' });
   }
   
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    
-    const log = createSecurityLog('AUTH_SUCCESS', req, { userId: decoded.userId });
-    console.log(JSON.stringify(log));
-    
-    next();
-  } catch (error) {
+  const result = verifyToken(token);
+  if (!result.ok) {
     const log = createSecurityLog('TOKEN_VALIDATION_FAILURE', req, { 
-      reason: error.name 
+      reason: result.reason 
     });
     console.log(JSON.stringify(log));
     return res.status(401).json({ error: 'Invalid token' });
   }
+  
+  req.user = result.claims;
+  
+  const log = createSecurityLog('AUTH_SUCCESS', req, { userId: result.claims.userId });
+  console.log(JSON.stringify(log));
+  
+  next();
 }
 
 // ============================================================================
@@ -343,6 +452,7 @@ module.exports = {
   insecureAuthMiddleware,
   insecureAuthorizationCheck,
   SecurityLogger,
+  createSecureAuthMiddleware,
   secureAuthMiddleware,
   secureAuthorizationCheck,
   insecureRoutes,